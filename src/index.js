@@ -1,7 +1,13 @@
-export {Selection, SelectionRange, TextSelection, NodeSelection, AllSelection} from "./selection"
+export {Selection, SelectionRange, TextSelection, NodeSelection, AllSelection, MultiSelection, BlockRangeSelection} from "./selection"
 
 export {Transaction} from "./transaction"
 
 export {EditorState} from "./state"
 
+export {TransactionRecorder} from "./recorder"
+
+export {EditorStore} from "./store"
+
+export {TextIndex} from "./textindex"
+
 export {Plugin, PluginKey} from "./plugin"
@@ -8,9 +8,26 @@
 //   props:: ?EditorProps
 //   The [view props](#view.EditorProps) added by this plugin. Props
 //   that are functions will be bound to have the plugin instance as
-//   their `this` binding.
+//   their `this` binding. When called with a view or state in which
+//   the plugin is [disabled](#state.Transaction.setPluginEnabled),
+//   they return undefined without running (or, for the `transform*`
+//   props, return the value they were given). The same goes for the
+//   functions in `handleDOMEvents`, `nodeViews`, and `markViews`
+//   (so that disabled node and mark views fall back to the default
+//   rendering). Plain `attributes` and `editable` values are turned
+//   into functions of the state that only return them while the
+//   plugin is enabled. Parsers and serializers (`domParser`,
+//   `clipboardParser`, and `clipboardSerializer`), and functions that
+//   get called without a view or state, can't be switched off this
+//   way. Use [`isPluginEnabled`](#state.EditorState.isPluginEnabled)
+//   to check for those where needed.
 //
 //   @cn 该插件设置的 [视图属性](#view.EditorProps)。属性如果是函数，则函数的 `this` 将绑定到当前实例。
+//   如果调用时传入的 view 或者 state 中该插件被 [禁用](#state.Transaction.setPluginEnabled) 了，
+//   它们不会执行而是直接返回 undefined（对于 `transform*` 属性，则返回传给它们的值）。`handleDOMEvents`、`nodeViews` 和 `markViews`
+//   中的函数也是如此（因此被禁用的节点视图和 mark 视图会退回到默认的渲染方式）。普通值形式的 `attributes` 和 `editable` 会被转换成接收 state 的函数，
+//   只有在插件启用的时候才返回这些值。解析器和序列化器（`domParser`、`clipboardParser` 和 `clipboardSerializer`），
+//   以及调用的时候没有传入 view 或者 state 的函数，无法通过这种方式关闭。需要的时候可以用 [`isPluginEnabled`](#state.EditorState.isPluginEnabled) 来检查。
 //
 //   @comment 对象属性是函数的话一般叫做对象的方法。
 //
@@ -29,6 +46,29 @@
 //   @cn 可以被用来唯一确定一个 plugin。在一个给定的 state 你只能有一个给定 key 的 plugin。
 //   你可以通过这个 key 而不用访问插件实例来访问该插件的配置和 state。
 //
+//   dependencies:: ?[union<PluginKey, Plugin>]
+//   The plugins that this plugin depends on. A state that includes
+//   this plugin must also include those, or creating it will raise
+//   an error. Dependencies are always ordered before the plugins
+//   that depend on them, so that their state fields are initialized
+//   and updated first, and can be read from this plugin's
+//   [`init`](#state.StateField.init) and
+//   [`apply`](#state.StateField.apply) methods. Cyclic dependencies
+//   are an error.
+//
+//   @cn 当前插件所依赖的插件。包含当前插件的 state 也必须包含这些插件，否则创建 state 的时候会抛出错误。
+//   被依赖的插件总是排在依赖它们的插件之前，因此它们的 state 字段会先被初始化和更新，
+//   在当前插件的 [`init`](#state.StateField.init) 和 [`apply`](#state.StateField.apply) 方法中可以读取到它们的 state。
+//   循环依赖会抛出错误。
+//
+//   priority:: ?number
+//   Plugins with a higher priority are placed before those with a
+//   lower priority, as far as their dependencies allow. Defaults to
+//   zero. Plugins with the same priority keep the order in which they
+//   were given.
+//
+//   @cn 在依赖关系允许的前提下，优先级较高的插件会排在优先级较低的插件之前。默认是 0。优先级相同的插件保持它们被传入时的顺序。
+//
 //   view:: ?(EditorView) → Object
 //   When the plugin needs to interact with the editor view, or
 //   set something up in the DOM, use this field. The function
@@ -60,6 +100,30 @@
 //
 //       @comment 页面重载等情况会销毁编辑器的 view。
 //
+//   storeView:: ?(EditorStore) → Object
+//   The equivalent of [`view`](#state.PluginSpec.view) for
+//   [headless stores](#state.EditorStore). Called when the plugin's
+//   state is associated with a store.
+//
+//   @cn [无头 store](#state.EditorStore) 中与 [`view`](#state.PluginSpec.view) 等价的字段。当插件的 state 与一个 store 关联的时候调用。
+//
+//     return::-
+//     Should return an object with the following optional
+//     properties:
+//
+//     @cn 应该返回有下列可选属性的对象：
+//
+//       update:: ?(store: EditorStore, prevState: EditorState)
+//       Called whenever the store's state is updated.
+//
+//       @cn store 的 state 一更新就调用该函数。
+//
+//       destroy:: ?()
+//       Called when the store is destroyed or receives a state with
+//       different plugins.
+//
+//       @cn 当 store 被销毁或者收到一个有着不同插件的 state 的时候调用该函数。
+//
 //   filterTransaction:: ?(Transaction, EditorState) → bool
 //   When present, this will be called before a transaction is
 //   applied by the state, allowing the plugin to cancel it (by
@@ -67,6 +131,24 @@
 //
 //   @cn 如果有该函数，则该函数会在一个 transaction 被应用到 state 之前调用，以允许插件有机会取消该 transaction（通过返回 false）
 //
+//   transformTransaction:: ?(Transaction, EditorState) → Transaction
+//   Allows the plugin to adjust or replace a transaction before it is
+//   applied (after it passed
+//   [`filterTransaction`](#state.PluginSpec.filterTransaction)).
+//   Should return the transaction to apply, which is either the given
+//   transaction, possibly with extra steps or metadata added, or a
+//   new transaction created from the given state. Plugins are called
+//   in order, each receiving the result of the previous one. Unlike
+//   [`appendTransaction`](#state.PluginSpec.appendTransaction), this
+//   keeps the change in a single transaction.
+//
+//   @cn 允许插件在一个 transaction 被应用之前（在通过 [`filterTransaction`](#state.PluginSpec.filterTransaction) 之后）调整或者替换它。
+//   应该返回要被应用的 transaction，可以是传入的 transaction（可能增加了 steps 或者 metadata 信息），也可以是从给定 state 新建的 transaction。
+//   插件按顺序调用，每个插件接收前一个插件返回的结果。与 [`appendTransaction`](#state.PluginSpec.appendTransaction) 不同，
+//   这会让修改保持在同一个 transaction 中。
+//
+//   @comment 比如将修改限制在允许的范围内、改写粘贴的内容或者增加 metadata 信息。
+//
 //   appendTransaction:: ?(transactions: [Transaction], oldState: EditorState, newState: EditorState) → ?Transaction
 //   Allows the plugin to append another transaction to be applied
 //   after the given array of transactions. When another plugin
@@ -82,13 +164,55 @@
 function bindProps(obj, self, target) {
   for (let prop in obj) {
     let val = obj[prop]
-    if (val instanceof Function) val = val.bind(self)
+    if (val instanceof Function) val = bindProp(val, self, /^transform/.test(prop))
     else if (prop == "handleDOMEvents") val = bindProps(val, self, {})
+    else if (prop == "nodeViews" || prop == "markViews") val = gateViews(val, self)
+    else if (prop == "attributes" || prop == "editable") val = bindProp(constant(val), self, false)
     target[prop] = val
   }
   return target
 }
 
+function constant(value) { return () => value }
+
+// Node and mark view constructors keep their `this` binding, but
+// return undefined for views in which the plugin is disabled, so that
+// the view renders those nodes or marks itself.
+function gateViews(views, self) {
+  let result = {}
+  for (let name in views) {
+    let f = views[name]
+    result[name] = function() {
+      let state = propState(arguments)
+      return state && !state.isPluginEnabled(self) ? undefined : f.apply(this, arguments)
+    }
+  }
+  return result
+}
+
+// Bind a prop function so that it isn't called for states in which
+// its plugin is disabled. Props that transform a value then return
+// that value unchanged.
+function bindProp(f, self, transform) {
+  return function() {
+    let state = propState(arguments)
+    if (state && !state.isPluginEnabled(self)) return transform ? arguments[0] : undefined
+    return f.apply(self, arguments)
+  }
+}
+
+// Find the state in the arguments of a prop function, which get
+// passed either a view or a state.
+function propState(args) {
+  for (let i = 0; i < args.length; i++) {
+    let arg = args[i]
+    if (!arg) continue
+    if (typeof arg.isPluginEnabled == "function") return arg
+    if (arg.state && typeof arg.state.isPluginEnabled == "function") return arg.state
+  }
+  return null
+}
+
 // ::- Plugins bundle functionality that can be added to an editor.
 // They are part of the [editor state](#state.EditorState) and
 // may influence that state and the view that contains it.
@@ -135,9 +259,13 @@ export class Plugin {
 //   passed to [`EditorState.create`](#state.EditorState^create). Note
 //   that `instance` is a half-initialized state instance, and will
 //   not have values for plugin fields initialized after this one.
+//   The fields of the plugin's
+//   [dependencies](#state.PluginSpec.dependencies) are always
+//   available.
 //
 //   @cn 初始化插件的 state。`config` 是传递给 [`EditorState.create`](#state.EditorState^create) 的对象。
 //   记住：`instance` 是一个半初始化的 state 实例，在当前插件之后初始化的插件在此时将不会有值。
+//   插件的 [依赖](#state.PluginSpec.dependencies) 的字段则总是可用的。
 //
 //   @comment 因此在新建 state 的时候，插件的顺序至关重要。
 //
@@ -150,6 +278,46 @@ export class Plugin {
 //   @cn 应用给定的 transaction 到插件的 state 字段，以产生一个新的 state。
 //   记住，`newState` 参数再一次的，是一个部分构造的 state，它不会包含当前插件之后还未初始化的插件的 state。
 //
+//   updateOn:: ?{doc: ?bool, selection: ?bool, storedMarks: ?bool, meta: ?[union<string, Plugin, PluginKey>]}
+//   When given, [`apply`](#state.StateField.apply) is only called
+//   for transactions that touch one of the listed things: that
+//   change the document (`doc`), that produce a different selection
+//   (`selection`, which includes selections mapped through document
+//   changes) or different stored marks (`storedMarks`), or that have
+//   one of the given metadata properties set (`meta`). For other
+//   transactions, the previous field value is kept without calling
+//   `apply`. This can save time in editors with many plugins.
+//
+//   @cn 如果提供了该值，则只有当 transaction 涉及到所列出的内容的时候，才会调用 [`apply`](#state.StateField.apply)：
+//   修改了文档（`doc`）、产生了不同的选区（`selection`，包括经过文档修改 map 之后的选区）或者不同的 stored marks（`storedMarks`），
+//   或者设置了给定的 metadata 属性之一（`meta`）。对于其他的 transactions，会直接保留之前的字段值而不调用 `apply`。
+//   这在有很多插件的编辑器中可以节省时间。
+//
+//   updateWhenDisabled:: ?bool
+//   By default, the field of a plugin that was
+//   [disabled](#state.Transaction.setPluginEnabled) keeps the value
+//   it had when the plugin was disabled. Set this to true to have
+//   [`apply`](#state.StateField.apply) called while the plugin is
+//   disabled, for example to keep positions stored in the field
+//   mapped through document changes, so that they are still valid
+//   when the plugin is enabled again.
+//
+//   @cn 默认情况下，被 [禁用](#state.Transaction.setPluginEnabled) 的插件的字段会保留它在插件被禁用时的值。
+//   设置为 true 以在插件被禁用期间也调用 [`apply`](#state.StateField.apply)，比如用来让字段中储存的位置随着文档的修改继续 map，
+//   这样当插件被重新启用的时候它们仍然是有效的。
+//
+//   reconfigure:: ?(value: T, oldState: EditorState, newState: EditorState) → T
+//   Called by [`EditorState.reconfigure`](#state.EditorState.reconfigure)
+//   when this plugin replaces a different plugin instance with the
+//   same [key](#state.PluginKey), which allows it to migrate the
+//   previous plugin's field value (for example when the plugin was
+//   recreated with different options). When not given, the old value
+//   is kept as it is. `newState` is a half-initialized state.
+//
+//   @cn 当当前插件替换了一个有着相同 [key](#state.PluginKey) 的不同插件实例的时候，
+//   会被 [`EditorState.reconfigure`](#state.EditorState.reconfigure) 调用，以允许插件迁移之前插件的字段值（比如插件用不同的配置项重新创建的时候）。
+//   如果没有提供该方法，则旧的值会原样保留。`newState` 是一个半初始化的 state。
+//
 //   toJSON:: ?(value: T) → *
 //   Convert this field to JSON. Optional, can be left off to disable
 //   JSON serialization for the field.
@@ -158,6 +326,19 @@ export class Plugin {
 //
 //   @comment 所谓转成 JSON，在该文档所有对象的 toJSON 方法都是转成一个 plain object，而不是 JSON.stringify 得到的对象。
 //
+//   jsonName:: ?string
+//   The property name to use for this field when serializing the
+//   state with [`EditorState.toJSON`](#state.EditorState.toJSON)
+//   (and deserializing it with
+//   [`EditorState.fromJSON`](#state.EditorState^fromJSON)) without
+//   an explicit `pluginFields` object. Only one plugin in a state may
+//   use a given name, and the names of the built-in properties
+//   (`doc`, `selection`, `storedMarks`, and `version`) can't be used.
+//
+//   @cn 在没有显式提供 `pluginFields` 对象的情况下，使用 [`EditorState.toJSON`](#state.EditorState.toJSON) 序列化 state
+//   （以及使用 [`EditorState.fromJSON`](#state.EditorState^fromJSON) 反序列化 state）的时候，该字段所使用的属性名。
+//   一个 state 中只能有一个插件使用一个给定的名字，并且不能使用内建属性的名字（`doc`、`selection`、`storedMarks` 和 `version`）。
+//
 //   fromJSON:: ?(config: Object, value: *, state: EditorState) → T
 //   Deserialize the JSON representation of this field. Note that the
 //   `state` argument is again a half-initialized state.
@@ -179,11 +360,55 @@ function createKey(name) {
 //
 // @cn 一个插件 key 用来 [标记][tag](#state.PluginSpec.key) 一个插件，以能够在通过搜索编辑器的 state 来方便的找到它。
 export class PluginKey {
-  // :: (?string)
+  // :: (?string, ?Object)
   // Create a plugin key.
   //
   // @cn 新建一个 plugin key
-  constructor(name = "key") { this.key = createKey(name) }
+  //
+  //   options::- Optional extra configuration.
+  //
+  //   @cn 可选的额外配置。
+  //
+  //     stable:: ?bool
+  //     By default, a unique suffix is added to the name to derive
+  //     the property that the plugin's state is stored under, which
+  //     depends on the order in which keys are created. When this is
+  //     true, the name is used as it is, so that it stays the same
+  //     between sessions and can be used for persistence. The name
+  //     must then not contain a `$` character, and may not be used by
+  //     more than one plugin in a given state. Plugins with a stable
+  //     key are automatically included by
+  //     [`EditorState.toJSON`](#state.EditorState.toJSON) and
+  //     [`EditorState.fromJSON`](#state.EditorState^fromJSON) when no
+  //     explicit `pluginFields` are given.
+  //
+  //     @cn 默认情况下，会在名字后面添加一个唯一的后缀来得到存储插件 state 的属性名，这个后缀取决于 key 被创建的顺序。
+  //     如果该值为 true，则会原样使用名字，因此它在不同的会话之间保持不变，可以被用来做持久化。此时名字中不能包含 `$` 字符，
+  //     而且在一个 state 中只能被一个插件使用。如果没有显式提供 `pluginFields`，有着稳定 key 的插件会被
+  //     [`EditorState.toJSON`](#state.EditorState.toJSON) 和 [`EditorState.fromJSON`](#state.EditorState^fromJSON) 自动包含。
+  //
+  //     validateMeta:: ?(value: any) → bool
+  //     A function that checks whether a value is valid
+  //     [metadata](#state.Transaction.setMeta) for this key. When the
+  //     state's [`debug`](#state.EditorState^create)
+  //     option is enabled, applying a transaction whose metadata for
+  //     the key of one of the state's plugins doesn't pass this check
+  //     raises an error.
+  //
+  //     @cn 一个检查某个值对于当前 key 来说是否是有效的 [metadata](#state.Transaction.setMeta) 的函数。
+  //     当 state 的 [`debug`](#state.EditorState^create) 选项启用的时候，应用一个 transaction 时，
+  //     如果它在 state 中某个插件的 key 下的 metadata 没有通过这个检查，就会抛出一个错误。
+  constructor(name = "key", options) {
+    // :: bool
+    // Whether this is a stable key, whose name is used as it is.
+    //
+    // @cn 当前 key 是否是一个稳定的 key，即原样使用其名字的 key。
+    this.stable = !!(options && options.stable)
+    if (this.stable && name.indexOf("$") > -1)
+      throw new RangeError("Stable plugin key names may not contain a `$` character (" + name + ")")
+    this.key = this.stable ? name : createKey(name)
+    this.validateMeta = options && options.validateMeta || null
+  }
 
   // :: (EditorState) → ?Plugin
   // Get the active plugin with this key, if any, from an editor
@@ -197,4 +422,23 @@ export class PluginKey {
   //
   // @cn 从编辑器的 state 中获取插件的 state。
   getState(state) { return state[this.key] }
+
+  // :: (EditorState, (any) → any) → any
+  // Compute a [memoized](#state.EditorState.select) value derived
+  // from the plugin's state.
+  //
+  // @cn 计算一个从插件 state 派生出来的 [缓存过的](#state.EditorState.select) 值。
+  select(state, f) { return state.select(this, f) }
+
+  // :: (Transaction, any) → Transaction
+  // Store a metadata property for this key in a transaction.
+  //
+  // @cn 在一个 transaction 中储存当前 key 的 metadata 信息。
+  setMeta(tr, value) { return tr.setMeta(this, value) }
+
+  // :: (Transaction) → ?any
+  // Get the metadata stored for this key in a transaction.
+  //
+  // @cn 获取一个 transaction 中为当前 key 储存的 metadata 信息。
+  getMeta(tr) { return tr.getMeta(this) }
 }
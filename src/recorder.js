@@ -0,0 +1,142 @@
+import {EditorState} from "./state"
+import {Transaction} from "./transaction"
+
+// ::- Records the transactions applied to an editor state, so that
+// an editing session can be exported and replayed later, for example
+// to reproduce a bug report.
+//
+// @cn 记录应用到编辑器 state 上的 transactions，以便导出一段编辑过程并在之后重放它，比如用来复现一个 bug 报告。
+//
+// Recording captures the state's document, selection, and stored
+// marks (plus the plugin fields named by `pluginFields`), followed by
+// every root transaction and every transaction appended by plugins,
+// tagged with the key of the plugin that appended it. Transactions
+// are serialized with [`Transaction.toJSON`](#state.Transaction.toJSON),
+// so only [registered](#state.Transaction^jsonMeta) metadata is
+// preserved.
+//
+// @cn 记录的内容包括 state 的文档、选区和 stored marks（以及 `pluginFields` 指定的插件字段），然后是每个根 transaction
+// 和每个由插件附加的 transaction，后者会被标记上附加它的插件的 key。transactions 使用 [`Transaction.toJSON`](#state.Transaction.toJSON) 序列化，
+// 因此只有 [注册过](#state.Transaction^jsonMeta) 的 metadata 信息会被保留。
+export class TransactionRecorder {
+  constructor() {
+    this.state = null
+    // Recorded entries, holding the document they produced, which is
+    // only hashed when the recording is exported
+    this.transactions = []
+  }
+
+  // :: (EditorState, ?Object<Plugin>) → EditorState
+  // Start recording from the given state. Returns a state that has
+  // this recorder attached, to which transactions should be applied
+  // from now on. `pluginFields` is passed on to
+  // [`EditorState.toJSON`](#state.EditorState.toJSON) to serialize
+  // the initial state.
+  //
+  // @cn 从给定的 state 开始记录。返回一个附加了当前记录器的 state，之后的 transactions 应该应用到该 state 上。
+  // `pluginFields` 会被传给 [`EditorState.toJSON`](#state.EditorState.toJSON) 以序列化初始的 state。
+  record(state, pluginFields) {
+    this.state = state.toJSON(pluginFields)
+    this.transactions = []
+    return state.reconfigure({plugins: state.plugins, recorder: this})
+  }
+
+  // : (Object, ?Plugin, EditorState)
+  // Called by `applyTransaction` for every transaction it applies,
+  // with the transaction's JSON representation.
+  addTransaction(json, plugin, state) {
+    this.transactions.push({
+      transaction: json,
+      plugin: plugin ? plugin.key : null,
+      doc: state.doc,
+      selection: state.selection.toJSON()
+    })
+  }
+
+  // :: () → Object
+  // Export the recording as a JSON-serializable object. Documents are
+  // stored as hashes.
+  //
+  // @cn 将记录导出为一个可以被 JSON 序列化的对象。文档会以哈希值的形式储存。
+  toJSON() {
+    let lastDoc = null, lastHash = 0
+    let transactions = this.transactions.map(entry => {
+      if (entry.doc != lastDoc) {
+        lastDoc = entry.doc
+        lastHash = docHash(lastDoc)
+      }
+      return {transaction: entry.transaction, plugin: entry.plugin, doc: lastHash, selection: entry.selection}
+    })
+    return {state: this.state, transactions}
+  }
+
+  // :: (Object, Object, ?Object<Plugin>) → {state: EditorState, mismatch: ?Object}
+  // Replay a recording, as produced by
+  // [`toJSON`](#state.TransactionRecorder.toJSON). `config` is
+  // passed to [`EditorState.fromJSON`](#state.EditorState^fromJSON),
+  // and should provide the schema and the plugins to replay with.
+  // The recorded root transactions are applied one by one, letting
+  // the plugins append their own transactions, and the result is
+  // compared to the recording after every transaction. When the
+  // replay diverges, this stops and returns a `mismatch` object
+  // holding the `index` of the first differing transaction in the
+  // recording, the `field` that differed (`"doc"`, `"selection"`,
+  // or `"plugin"`, when a different plugin, or none, appended a
+  // transaction), and the `expected` and `actual` values. Since the
+  // recording only holds hashes of documents, document mismatches
+  // also have a `doc` property holding the JSON representation of the
+  // replayed document. The returned state is the replayed state at
+  // that point.
+  //
+  // @cn 重放一段由 [`toJSON`](#state.TransactionRecorder.toJSON) 生成的记录。`config` 会被传给 [`EditorState.fromJSON`](#state.EditorState^fromJSON)，
+  // 它应该提供 schema 和用来重放的插件。记录中的根 transactions 会被逐个应用，插件可以附加它们自己的 transactions，
+  // 每个 transaction 之后都会将结果与记录进行比较。如果重放的结果出现了分歧，则会停止重放并返回一个 `mismatch` 对象，
+  // 其中包括记录中第一个出现差异的 transaction 的索引 `index`，出现差异的字段 `field`（`"doc"`、`"selection"`，
+  // 或者 `"plugin"`，表示附加 transaction 的插件不同或者没有插件附加 transaction），以及期望值 `expected` 和实际值 `actual`。
+  // 由于记录中只保存了文档的哈希值，文档不一致的时候 mismatch 对象还会有一个 `doc` 属性，保存重放得到的文档的 JSON 表示。
+  // 返回的 state 是重放到这个时候的 state。
+  static replay(config, json, pluginFields) {
+    if (!json || !json.state || !Array.isArray(json.transactions))
+      throw new RangeError("Invalid input for TransactionRecorder.replay")
+    let recorder = new TransactionRecorder, recorded = json.transactions
+    let state = recorder.record(EditorState.fromJSON(config, json.state, pluginFields), pluginFields)
+    for (let i = 0; i < recorded.length;) {
+      let entry = recorded[i]
+      if (entry.plugin != null)
+        return {state, mismatch: {index: i, field: "plugin", expected: entry.plugin, actual: null}}
+      state = state.apply(Transaction.fromJSON(state, entry.transaction))
+      let replayed = recorder.transactions
+      if (replayed.length == i)
+        return {state, mismatch: {index: i, field: "plugin", expected: null, actual: undefined}}
+      for (; i < replayed.length; i++) {
+        let mismatch = compareEntries(recorded[i], replayed[i])
+        if (mismatch) {
+          mismatch.index = i
+          return {state, mismatch}
+        }
+      }
+    }
+    return {state, mismatch: null}
+  }
+}
+
+function compareEntries(expected, actual) {
+  if (!expected)
+    return {field: "plugin", expected: undefined, actual: actual.plugin}
+  if (expected.plugin != actual.plugin)
+    return {field: "plugin", expected: expected.plugin, actual: actual.plugin}
+  let hash = docHash(actual.doc)
+  if (expected.doc != hash)
+    return {field: "doc", expected: expected.doc, actual: hash, doc: actual.doc.toJSON()}
+  if (JSON.stringify(expected.selection) != JSON.stringify(actual.selection))
+    return {field: "selection", expected: expected.selection, actual: actual.selection}
+  return null
+}
+
+// A cheap fingerprint of a document, used to compare documents
+// without storing a copy of each of them in the recording.
+function docHash(doc) {
+  let str = JSON.stringify(doc.toJSON()), hash = 0
+  for (let i = 0; i < str.length; i++) hash = ((hash << 5) - hash + str.charCodeAt(i)) | 0
+  return hash
+}
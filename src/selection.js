@@ -1,4 +1,4 @@
-import {Slice, Fragment} from "prosemirror-model"
+import {Slice, Fragment, Mark, NodeRange} from "prosemirror-model"
 import {ReplaceStep, ReplaceAroundStep} from "prosemirror-transform"
 
 const classesById = Object.create(null)
@@ -126,21 +126,12 @@ export class Selection {
   // @comment 英文原文档有多处使用了「backward」、「forward」、「back」之类的字眼，但是在不同的上下文中，其含义是不同的，因此此处意译为了「向左」或者「向右」，
   // 不习惯的可以鼠标悬浮查看原英文文档。
   replace(tr, content = Slice.empty) {
-    // Put the new selection at the position after the inserted
-    // content. When that ended in an inline node, search backwards,
-    // to get the position after that node. If not, search forward.
-    let lastNode = content.content.lastChild, lastParent = null
-    for (let i = 0; i < content.openEnd; i++) {
-      lastParent = lastNode
-      lastNode = lastNode.lastChild
-    }
-
     let mapFrom = tr.steps.length, ranges = this.ranges
     for (let i = 0; i < ranges.length; i++) {
       let {$from, $to} = ranges[i], mapping = tr.mapping.slice(mapFrom)
       tr.replaceRange(mapping.map($from.pos), mapping.map($to.pos), i ? Slice.empty : content)
       if (i == 0)
-        selectionToInsertionEnd(tr, mapFrom, (lastNode ? lastNode.isInline : lastParent && lastParent.isTextblock) ? -1 : 1)
+        selectionToInsertionEnd(tr, mapFrom, insertionBias(content))
     }
   }
 
@@ -172,7 +163,7 @@ export class Selection {
   // @cn 将当前选区转换成 JSON 表示的格式。当在自己实现的 selection 类中实现此方法的时候，需要确保给这个返回的对象一个 `type` 属性，
   // 属性值是你 [注册](#state.Selection^jsonID) selection 时候的 ID。
 
-  // :: (ResolvedPos, number, ?bool) → ?Selection
+  // :: (ResolvedPos, number, ?bool, ?(node: Node, pos: number) → bool) → ?Selection
   // Find a valid cursor or leaf node selection starting at the given
   // position and searching back if `dir` is negative, and forward if
   // positive. When `textOnly` is true, only consider cursor
@@ -183,47 +174,74 @@ export class Selection {
   // 如果没有可用的选区位置，则返回 null。
   //
   // @comment 此方法对在粘贴或者一番操作后，不知道应该将光标放到哪个合适的位置时的情况尤为有用，它会自动寻找一个合适的位置，而不用手动 setSelection，对此种情况还有用的一个方法是下面的 near 方法。
-  static findFrom($pos, dir, textOnly) {
-    let inner = $pos.parent.inlineContent ? new TextSelection($pos)
-        : findSelectionIn($pos.node(0), $pos.parent, $pos.pos, $pos.index(), dir, textOnly)
-    if (inner) return inner
+  //
+  // When a `filter` function is given, it is called with the nodes
+  // (and their start positions) that the search would enter or
+  // select, and nodes for which it returns false are skipped, along
+  // with their content. When the given position is itself inside
+  // such a node, the search starts after (or before) it. This can be
+  // used to keep the selection out of, for example, locked or
+  // collapsed regions. A per-node-type policy can be expressed as a
+  // filter like `node => policy[node.type.name] !== false`.
+  //
+  // @cn 如果给定了 `filter` 函数，则会用搜索将要进入或者选中的节点（及其起始位置）调用它，它返回 false 的节点以及其内容会被跳过。
+  // 如果给定的位置本身就在这样的节点内，则会从该节点之后（或者之前）开始搜索。这可以被用来让选区不进入比如被锁定的或者折叠起来的区域。
+  // 基于节点类型的策略可以表示为类似 `node => policy[node.type.name] !== false` 这样的 filter。
+  static findFrom($pos, dir, textOnly, filter) {
+    let doc = $pos.node(0), start = $pos.depth - 1, blocked = false
+    if (filter) for (let d = 1; d <= $pos.depth; d++) if (!filter($pos.node(d), $pos.before(d))) {
+      start = d - 1
+      blocked = true
+      break
+    }
+    if (!blocked) {
+      let inner = $pos.parent.inlineContent ? new TextSelection($pos)
+          : findSelectionIn(doc, $pos.parent, $pos.pos, $pos.index(), dir, textOnly, filter)
+      if (inner) return inner
+    }
 
-    for (let depth = $pos.depth - 1; depth >= 0; depth--) {
+    for (let depth = start; depth >= 0; depth--) {
       let found = dir < 0
-          ? findSelectionIn($pos.node(0), $pos.node(depth), $pos.before(depth + 1), $pos.index(depth), dir, textOnly)
-          : findSelectionIn($pos.node(0), $pos.node(depth), $pos.after(depth + 1), $pos.index(depth) + 1, dir, textOnly)
+          ? findSelectionIn(doc, $pos.node(depth), $pos.before(depth + 1), $pos.index(depth), dir, textOnly, filter)
+          : findSelectionIn(doc, $pos.node(depth), $pos.after(depth + 1), $pos.index(depth) + 1, dir, textOnly, filter)
       if (found) return found
     }
   }
 
-  // :: (ResolvedPos, ?number) → Selection
+  // :: (ResolvedPos, ?number, ?(node: Node, pos: number) → bool) → Selection
   // Find a valid cursor or leaf node selection near the given
   // position. Searches forward first by default, but if `bias` is
-  // negative, it will search backwards first.
+  // negative, it will search backwards first. `filter` works as in
+  // [`findFrom`](#state.Selection^findFrom).
   //
   // @cn 在给定的位置寻找一个可用的光标或者叶节点选区。默认向右搜索，如果 `bias` 是负，则会优先向左搜索。
-  static near($pos, bias = 1) {
-    return this.findFrom($pos, bias) || this.findFrom($pos, -bias) || new AllSelection($pos.node(0))
+  // `filter` 的作用与 [`findFrom`](#state.Selection^findFrom) 中相同。
+  static near($pos, bias = 1, filter) {
+    return this.findFrom($pos, bias, false, filter) || this.findFrom($pos, -bias, false, filter) ||
+      new AllSelection($pos.node(0))
   }
 
-  // :: (Node) → Selection
+  // :: (Node, ?(node: Node, pos: number) → bool) → Selection
   // Find the cursor or leaf node selection closest to the start of
   // the given document. Will return an
   // [`AllSelection`](#state.AllSelection) if no valid position
-  // exists.
+  // exists. `filter` works as in
+  // [`findFrom`](#state.Selection^findFrom).
   //
   // @cn 寻找一个给定文档最开始的光标或叶节点选区。如果没有可用的位置存在，则返回 [`AllSelection`](#state.AllSelection)。
-  static atStart(doc) {
-    return findSelectionIn(doc, doc, 0, 0, 1) || new AllSelection(doc)
+  // `filter` 的作用与 [`findFrom`](#state.Selection^findFrom) 中相同。
+  static atStart(doc, filter) {
+    return findSelectionIn(doc, doc, 0, 0, 1, false, filter) || new AllSelection(doc)
   }
 
-  // :: (Node) → Selection
+  // :: (Node, ?(node: Node, pos: number) → bool) → Selection
   // Find the cursor or leaf node selection closest to the end of the
-  // given document.
+  // given document. `filter` works as in
+  // [`findFrom`](#state.Selection^findFrom).
   //
-  // @cn 寻找一个给定文档最末尾的光标或者叶节点选区。
-  static atEnd(doc) {
-    return findSelectionIn(doc, doc, doc.content.size, doc.childCount, -1) || new AllSelection(doc)
+  // @cn 寻找一个给定文档最末尾的光标或者叶节点选区。`filter` 的作用与 [`findFrom`](#state.Selection^findFrom) 中相同。
+  static atEnd(doc, filter) {
+    return findSelectionIn(doc, doc, doc.content.size, doc.childCount, -1, false, filter) || new AllSelection(doc)
   }
 
   // :: (Node, Object) → Selection
@@ -290,14 +308,17 @@ Selection.prototype.visible = true
 //   
 //   @cn 在一系列的文档修改后 map 该 bookmark 到一个新的 bookmark。
 //
-//   resolve:: (doc: Node) → Selection
+//   resolve:: (doc: Node, filter: ?(node: Node, pos: number) → bool) → Selection
 //   Resolve the bookmark to a real selection again. This may need to
 //   do some error checking and may fall back to a default (usually
 //   [`TextSelection.between`](#state.TextSelection^between)) if
-//   mapping made the bookmark invalid.
+//   mapping made the bookmark invalid. When a `filter` is given, that
+//   fallback should honor it, as in
+//   [`Selection.findFrom`](#state.Selection^findFrom).
 //
 //   @cn 将该 bookmark 再解析成一个真实选区。可能需要做一些错误检查，并且如果 mapping 后该 bookmark 变得不可用的话，则会回滚到
-//   默认行为（通常是 [`TextSelection.between`](#state.TextSelection^between)）。
+//   默认行为（通常是 [`TextSelection.between`](#state.TextSelection^between)）。如果给定了 `filter`，则回滚的时候应该遵循它，
+//   就像 [`Selection.findFrom`](#state.Selection^findFrom) 中那样。
 
 // ::- Represents a selected range in a document.
 //
@@ -366,6 +387,73 @@ export class TextSelection extends Selection {
     return new TextBookmark(this.anchor, this.head)
   }
 
+  // :: () → TextSelection
+  // Expand the selection to cover the words at its ends. A cursor
+  // directly after a word (and not before another one) expands to
+  // that word. Words are found with
+  // [`Intl.Segmenter`](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Intl/Segmenter)
+  // when available, and a simpler scan of word characters otherwise.
+  // Inline leaf nodes separate words. The direction of the selection
+  // is preserved.
+  //
+  // @cn 扩展选区以覆盖其两端所在的单词。紧跟在一个单词后面（而不在另一个单词前面）的光标会扩展为该单词。
+  // 如果 [`Intl.Segmenter`](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Intl/Segmenter) 可用则用它来查找单词，
+  // 否则用一个更简单的单词字符扫描。inline 的叶节点会分隔单词。选区的方向会被保留。
+  expandToWord() {
+    return expandTo(this, "word")
+  }
+
+  // :: () → TextSelection
+  // Expand the selection to cover the sentences at its ends, not
+  // including the whitespace after the last one.
+  //
+  // @cn 扩展选区以覆盖其两端所在的句子，不包括最后一个句子后面的空白。
+  expandToSentence() {
+    return expandTo(this, "sentence")
+  }
+
+  // :: () → TextSelection
+  // Expand the selection to cover the whole content of the textblocks
+  // at its ends.
+  //
+  // @cn 扩展选区以覆盖其两端所在的文本块的全部内容。
+  expandToBlock() {
+    let {$from, $to} = this
+    return withDirection(this, $from.doc.resolve($from.start()), $to.doc.resolve($to.end()))
+  }
+
+  // :: (number, ?bool) → TextSelection
+  // Move the selection's head to the end of the next word (when `dir`
+  // is positive) or the start of the previous word (when negative),
+  // collapsing the selection, unless `extend` is true. Inline leaf
+  // nodes count as words. At the end or start of a textblock, the
+  // head moves into the next or previous textblock. When there is no
+  // such textblock, the selection is returned unchanged.
+  //
+  // @cn 将选区的 head 移动到下一个单词的末尾（当 `dir` 是正的时候）或者上一个单词的开头（当 `dir` 是负的时候），并折叠选区，除非 `extend` 是 true。
+  // inline 的叶节点被当作单词。在文本块的末尾或者开头的时候，head 会移动到下一个或者上一个文本块中。如果没有这样的文本块，则原样返回选区。
+  moveByWord(dir, extend) {
+    let $head = this.$head, parent = $head.parent, start = $head.start()
+    let target = null
+    if ($head.pos == (dir > 0 ? $head.end() : start)) {
+      let found = Selection.findFrom($head.doc.resolve(dir > 0 ? $head.after() : $head.before()), dir, true)
+      if (!found) return this
+      target = found.$head
+    } else {
+      let segments = textSegments(parent, "word"), offset = $head.pos - start, pos = dir > 0 ? $head.end() : start
+      for (let i = dir > 0 ? 0 : segments.length - 1; dir > 0 ? i < segments.length : i >= 0; i += dir) {
+        let seg = segments[i]
+        if (!seg.word && seg.text != LEAF_CHAR) continue
+        if (dir > 0 ? seg.to > offset : seg.from < offset) {
+          pos = start + (dir > 0 ? seg.to : seg.from)
+          break
+        }
+      }
+      target = $head.doc.resolve(pos)
+    }
+    return new TextSelection(extend ? this.$anchor : target, target)
+  }
+
   toJSON() {
     return {type: "text", anchor: this.anchor, head: this.head}
   }
@@ -385,30 +473,32 @@ export class TextSelection extends Selection {
     return new this($anchor, head == anchor ? $anchor : doc.resolve(head))
   }
 
-  // :: (ResolvedPos, ResolvedPos, ?number) → Selection
+  // :: (ResolvedPos, ResolvedPos, ?number, ?(node: Node, pos: number) → bool) → Selection
   // Return a text selection that spans the given positions or, if
   // they aren't text positions, find a text selection near them.
   // `bias` determines whether the method searches forward (default)
   // or backwards (negative number) first. Will fall back to calling
   // [`Selection.near`](#state.Selection^near) when the document
-  // doesn't contain a valid text position.
+  // doesn't contain a valid text position. Positions inside nodes
+  // rejected by `filter` are not considered valid (see
+  // [`findFrom`](#state.Selection^findFrom)).
   //
   // @cn 返回一个跨越给定 anchor 和 head 位置的选区，如果它们不是一个文本位置，则调用 findFrom 就近寻找一个可用的文本选区。
   // `bias` 决定就近向哪个方向寻找，默认是向左，值为负时是向右。如果文档不包含一个可用的文本位置，
-  // 则调用 [`Selection.near`](#state.Selection^near) 方法。
-  static between($anchor, $head, bias) {
+  // 则调用 [`Selection.near`](#state.Selection^near) 方法。位于被 `filter` 拒绝的节点中的位置不被认为是可用的（参见 [`findFrom`](#state.Selection^findFrom)）。
+  static between($anchor, $head, bias, filter) {
     let dPos = $anchor.pos - $head.pos
     if (!bias || dPos) bias = dPos >= 0 ? 1 : -1
-    if (!$head.parent.inlineContent) {
-      let found = Selection.findFrom($head, bias, true) || Selection.findFrom($head, -bias, true)
+    if (!$head.parent.inlineContent || !allowedPos($head, filter)) {
+      let found = Selection.findFrom($head, bias, true, filter) || Selection.findFrom($head, -bias, true, filter)
       if (found) $head = found.$head
-      else return Selection.near($head, bias)
+      else return Selection.near($head, bias, filter)
     }
-    if (!$anchor.parent.inlineContent) {
+    if (!$anchor.parent.inlineContent || !allowedPos($anchor, filter)) {
       if (dPos == 0) {
         $anchor = $head
       } else {
-        $anchor = (Selection.findFrom($anchor, -bias, true) || Selection.findFrom($anchor, bias, true)).$anchor
+        $anchor = (Selection.findFrom($anchor, -bias, true, filter) || Selection.findFrom($anchor, bias, true, filter)).$anchor
         if (($anchor.pos < $head.pos) != (dPos < 0)) $anchor = $head
       }
     }
@@ -418,6 +508,94 @@ export class TextSelection extends Selection {
 
 Selection.jsonID("text", TextSelection)
 
+// Return a text selection from `$from` to `$to` that points in the
+// same direction as `sel`.
+function withDirection(sel, $from, $to) {
+  return sel.head < sel.anchor ? new TextSelection($to, $from) : new TextSelection($from, $to)
+}
+
+function expandTo(sel, granularity) {
+  let {$from, $to} = sel, doc = $from.doc
+  let range = sel.empty ? segmentAround($from, granularity, 0)
+      : {from: segmentAround($from, granularity, 1).from, to: segmentAround($to, granularity, -1).to}
+  return withDirection(sel, doc.resolve(range.from), doc.resolve(range.to))
+}
+
+// Inline nodes other than text are represented by this character
+// (once for every position they take up) when segmenting text.
+const LEAF_CHAR = "\ufffc"
+
+function blockText(node) {
+  let text = ""
+  node.forEach(child => {
+    if (child.isText) text += child.text
+    else for (let i = 0; i < child.nodeSize; i++) text += LEAF_CHAR
+  })
+  return text
+}
+
+const segmenters = Object.create(null)
+
+function getSegmenter(granularity) {
+  if (typeof Intl == "undefined" || !Intl.Segmenter) return null
+  return segmenters[granularity] || (segmenters[granularity] = new Intl.Segmenter(undefined, {granularity}))
+}
+
+const nonASCIISingleCaseWordChar = /[\u00df\u0587\u0590-\u05f4\u0600-\u06ff\u3040-\u309f\u30a0-\u30ff\u3400-\u4db5\u4e00-\u9fcc\uac00-\ud7af]/
+
+function isWordChar(ch) {
+  return /\w/.test(ch) || ch > "\x80" && (ch.toUpperCase() != ch.toLowerCase() || nonASCIISingleCaseWordChar.test(ch))
+}
+
+// Split the text of a textblock into word or sentence segments,
+// which cover the whole text. Word segments have a `word` property
+// that is true for actual words.
+function textSegments(node, granularity) {
+  let text = blockText(node), segmenter = getSegmenter(granularity), result = []
+  if (segmenter) {
+    Array.from(segmenter.segment(text)).forEach(seg => {
+      result.push({from: seg.index, to: seg.index + seg.segment.length, text: seg.segment, word: !!seg.isWordLike})
+    })
+  } else if (granularity == "word") {
+    for (let pos = 0; pos < text.length;) {
+      let end = pos + 1, word = isWordChar(text[pos]), space = /\s/.test(text[pos])
+      if (word) while (end < text.length && isWordChar(text[end])) end++
+      else if (space) while (end < text.length && /\s/.test(text[end])) end++
+      result.push({from: pos, to: end, text: text.slice(pos, end), word})
+      pos = end
+    }
+  } else {
+    let re = /[^.!?]*(?:[.!?]+["')\]]*(?:\s+|$)|$)/g, m
+    while ((m = re.exec(text)) && m[0]) result.push({from: m.index, to: m.index + m[0].length, text: m[0]})
+  }
+  if (granularity == "sentence") result.forEach(seg => {
+    while (seg.to > seg.from + 1 && /\s/.test(text[seg.to - 1])) seg.to--
+  })
+  return result
+}
+
+// Find the segment around a position. `side` indicates whether the
+// segment should start after (1) or end before (-1) the position.
+// When 0, the segment after the position is preferred, unless that
+// isn't a word and the one before it is. Returns document positions.
+// When no segment applies, an empty range at the position is
+// returned.
+function segmentAround($pos, granularity, side) {
+  let start = $pos.start(), offset = $pos.pos - start
+  let segments = textSegments($pos.parent, granularity)
+  let before = null, after = null
+  for (let i = 0; i < segments.length; i++) {
+    let seg = segments[i]
+    if (seg.from < offset && seg.to >= offset) before = seg
+    if (seg.from <= offset && seg.to > offset) after = seg
+  }
+  let isWord = seg => seg && (granularity != "word" || seg.word)
+  let seg = side > 0 ? after : side < 0 ? before
+      : isWord(after) || !isWord(before) ? after || before : before
+  if (!seg || !isWord(seg)) return {from: $pos.pos, to: $pos.pos}
+  return {from: start + seg.from, to: start + seg.to}
+}
+
 class TextBookmark {
   constructor(anchor, head) {
     this.anchor = anchor
@@ -426,8 +604,8 @@ class TextBookmark {
   map(mapping) {
     return new TextBookmark(mapping.map(this.anchor), mapping.map(this.head))
   }
-  resolve(doc) {
-    return TextSelection.between(doc.resolve(this.anchor), doc.resolve(this.head))
+  resolve(doc, filter) {
+    return TextSelection.between(doc.resolve(this.anchor), doc.resolve(this.head), null, filter)
   }
 }
 
@@ -517,10 +695,117 @@ class NodeBookmark {
     let {deleted, pos} = mapping.mapResult(this.anchor)
     return deleted ? new TextBookmark(pos, pos) : new NodeBookmark(pos)
   }
-  resolve(doc) {
+  resolve(doc, filter) {
     let $pos = doc.resolve(this.anchor), node = $pos.nodeAfter
-    if (node && NodeSelection.isSelectable(node)) return new NodeSelection($pos)
-    return Selection.near($pos)
+    if (node && NodeSelection.isSelectable(node) && (!filter || filter(node, $pos.pos) && allowedPos($pos, filter)))
+      return new NodeSelection($pos)
+    return Selection.near($pos, 1, filter)
+  }
+}
+
+// ::- A block range selection selects a run of adjacent sibling
+// nodes, as whole nodes. Its anchor and head point at the boundaries
+// of that run, directly inside the parent node, which must not have
+// inline content. Replacing it replaces the selected nodes.
+//
+// @cn 一个块范围选区选中一系列相邻的兄弟节点，按整个节点选中。它的 anchor 和 head 指向这一系列节点的边界，直接位于父节点中，
+// 父节点不能有 inline 内容。替换该选区会替换被选中的节点。
+//
+// @comment 比如选中第 3 到第 7 个段落，以对它们整体进行拖动、复制或者转换成其他类型的块。
+export class BlockRangeSelection extends Selection {
+  // :: (ResolvedPos, ResolvedPos)
+  // Create a block range selection. Does not verify the validity of
+  // its arguments.
+  //
+  // @cn 新建一个块范围选区。不会验证参数的可用性。
+  constructor($anchor, $head) {
+    super($anchor, $head)
+  }
+
+  // :: NodeRange
+  // The [range](#model.NodeRange) of nodes covered by the selection.
+  //
+  // @cn 该选区覆盖的节点的 [range](#model.NodeRange)。
+  get range() {
+    return new NodeRange(this.$from, this.$to, this.$from.depth)
+  }
+
+  map(doc, mapping) {
+    let backward = this.head < this.anchor
+    let from = mapping.map(this.from, 1), to = mapping.map(this.to, -1)
+    let $from = doc.resolve(from), $to = doc.resolve(to)
+    if (!isBlockRange($from, $to)) return TextSelection.between($from, $to)
+    return backward ? new BlockRangeSelection($to, $from) : new BlockRangeSelection($from, $to)
+  }
+
+  content() {
+    let start = this.$from.start()
+    return new Slice(this.$from.parent.content.cut(this.from - start, this.to - start), 0, 0)
+  }
+
+  eq(other) {
+    return other instanceof BlockRangeSelection && other.anchor == this.anchor && other.head == this.head
+  }
+
+  toJSON() {
+    return {type: "blockRange", anchor: this.anchor, head: this.head}
+  }
+
+  getBookmark() { return new BlockRangeBookmark(this.anchor, this.head) }
+
+  static fromJSON(doc, json) {
+    if (typeof json.anchor != "number" || typeof json.head != "number")
+      throw new RangeError("Invalid input for BlockRangeSelection.fromJSON")
+    let $anchor = doc.resolve(json.anchor), $head = doc.resolve(json.head)
+    if (!isBlockRange($anchor.min($head), $anchor.max($head)))
+      throw new RangeError("Invalid block range in BlockRangeSelection.fromJSON")
+    return new BlockRangeSelection($anchor, $head)
+  }
+
+  // :: (Node, number, number) → BlockRangeSelection
+  // Create a block range selection from non-resolved positions.
+  //
+  // @cn 以未 resolved 过的位置新建一个块范围选区。
+  static create(doc, anchor, head) {
+    return new this(doc.resolve(anchor), doc.resolve(head))
+  }
+
+  // :: (NodeRange) → BlockRangeSelection
+  // Create a selection that covers the nodes in the given range.
+  //
+  // @cn 新建一个覆盖给定 range 中节点的选区。
+  static fromRange(range) {
+    let doc = range.$from.doc
+    return new this(doc.resolve(range.start), doc.resolve(range.end))
+  }
+}
+
+BlockRangeSelection.prototype.visible = false
+
+Selection.jsonID("blockRange", BlockRangeSelection)
+
+// Check whether two positions delimit a non-empty run of sibling
+// nodes in a parent without inline content.
+function isBlockRange($from, $to) {
+  return $from.pos < $to.pos && $from.depth == $to.depth && $from.sameParent($to) &&
+    !$from.parent.inlineContent
+}
+
+class BlockRangeBookmark {
+  constructor(anchor, head) {
+    this.anchor = anchor
+    this.head = head
+  }
+  map(mapping) {
+    let backward = this.head < this.anchor
+    let from = mapping.map(Math.min(this.anchor, this.head), 1), to = mapping.map(Math.max(this.anchor, this.head), -1)
+    return backward ? new BlockRangeBookmark(to, from) : new BlockRangeBookmark(from, to)
+  }
+  resolve(doc, filter) {
+    let $anchor = doc.resolve(this.anchor), $head = doc.resolve(this.head)
+    if (isBlockRange($anchor.min($head), $anchor.max($head)) && allowedPos($anchor, filter))
+      return new BlockRangeSelection($anchor, $head)
+    return TextSelection.between($anchor, $head, null, filter)
   }
 }
 
@@ -567,31 +852,273 @@ const AllBookmark = {
   resolve(doc) { return new AllSelection(doc) }
 }
 
+// ::- A selection made up of several text ranges (cursors or
+// non-empty ranges), one of which is the primary range. The
+// selection's `anchor`, `head`, `from`, and `to` refer to the primary
+// range, which also comes first in its
+// [`ranges`](#state.Selection.ranges). Overlapping ranges are merged
+// when the selection is created or mapped.
+//
+// @cn 一个由多个文本范围（光标或者非空的范围）组成的选区，其中一个是主范围。选区的 `anchor`、`head`、`from` 和 `to` 指的是主范围，
+// 主范围也是选区的 [`ranges`](#state.Selection.ranges) 中的第一个。重叠的范围会在选区创建或者 map 的时候被合并。
+//
+// Replacing the selection replaces every range, and leaves a cursor
+// at the end of each insertion. When inserting text, each range
+// inherits the marks at its own position, unless stored marks are
+// set.
+//
+// @cn 替换该选区会替换每一个范围，并在每个插入内容的末尾留下一个光标。插入文本的时候，每个范围会继承它自己所在位置的 marks，除非设置了 stored marks。
+export class MultiSelection extends Selection {
+  // :: ([TextSelection], ?number)
+  // Create a multi-range selection from the given text selections,
+  // with the one at `primaryIndex` (default 0) being the primary
+  // range.
+  //
+  // @cn 用给定的文本选区新建一个多范围选区，位于 `primaryIndex`（默认是 0）的那个文本选区是主范围。
+  constructor(parts, primaryIndex = 0) {
+    let normal = normalizeParts(parts, primaryIndex), primary = normal.parts[normal.primary]
+    let ranges = [primary.ranges[0]]
+    normal.parts.forEach(part => { if (part != primary) ranges.push(part.ranges[0]) })
+    super(primary.$anchor, primary.$head, ranges)
+    // :: [TextSelection]
+    // The ranges in this selection, as text selections, in document
+    // order.
+    //
+    // @cn 该选区中的范围，以文本选区的形式按文档顺序排列。
+    this.parts = normal.parts
+    // :: number
+    // The index of the primary range in `parts`.
+    //
+    // @cn 主范围在 `parts` 中的索引。
+    this.primaryIndex = normal.primary
+  }
+
+  // :: TextSelection
+  // The primary range.
+  //
+  // @cn 主范围。
+  get primary() { return this.parts[this.primaryIndex] }
+
+  // :: ?ResolvedPos
+  // When all ranges are empty, this returns the head of the primary
+  // range, so that, like for a text cursor, stored marks are kept.
+  //
+  // @cn 当所有的范围都是空的时候，返回主范围的 head，因此与文本光标一样，stored marks 会被保留。
+  get $cursor() { return this.empty ? this.$head : null }
+
+  map(doc, mapping) {
+    let parts = [], primary = 0
+    for (let i = 0; i < this.parts.length; i++) {
+      let mapped = this.parts[i].map(doc, mapping)
+      if (i == this.primaryIndex) {
+        if (!(mapped instanceof TextSelection)) return mapped
+        primary = parts.length
+      } else if (!(mapped instanceof TextSelection)) {
+        continue
+      }
+      parts.push(mapped)
+    }
+    return multiOrSingle(parts, primary)
+  }
+
+  replace(tr, content = Slice.empty) {
+    replaceParts(tr, this, (from, to) => tr.replaceRange(from, to, content), insertionBias(content))
+    if (content == Slice.empty) {
+      // Only store marks when the deleted ranges agree on them
+      let marks = null
+      for (let i = 0; i < this.parts.length; i++) {
+        let part = this.parts[i], found = part.$from.marksAcross(part.$to)
+        if (!found || (marks && !Mark.sameSet(marks, found))) return
+        marks = found
+      }
+      if (marks) tr.ensureMarks(marks)
+    }
+  }
+
+  // :: (Transaction, Node, ?bool)
+  // Insert the given node in every range. When `inheritMarks` is
+  // true, the transaction's stored marks, or the marks at each range
+  // when there are none, are added to the node.
+  //
+  // @cn 在每一个范围中插入给定的节点。如果 `inheritMarks` 是 true，则会给节点添加 transaction 的 stored marks，如果没有的话则添加每个范围所在位置的 marks。
+  replaceWith(tr, node, inheritMarks) {
+    let stored = tr.storedMarks
+    replaceParts(tr, this, (from, to, part) => {
+      let marks = !inheritMarks ? null
+          : stored || (part.empty ? part.$from.marks() : (part.$from.marksAcross(part.$to) || Mark.none))
+      tr.replaceRangeWith(from, to, marks ? node.mark(marks) : node)
+    }, node.isInline ? -1 : 1)
+  }
+
+  eq(other) {
+    if (!(other instanceof MultiSelection) || other.parts.length != this.parts.length ||
+        other.primaryIndex != this.primaryIndex) return false
+    for (let i = 0; i < this.parts.length; i++)
+      if (!this.parts[i].eq(other.parts[i])) return false
+    return true
+  }
+
+  getBookmark() {
+    return new MultiBookmark(this.parts.map(part => part.getBookmark()), this.primaryIndex)
+  }
+
+  toJSON() {
+    return {type: "multi", ranges: this.parts.map(part => ({anchor: part.anchor, head: part.head})),
+            primary: this.primaryIndex}
+  }
+
+  static fromJSON(doc, json) {
+    if (!Array.isArray(json.ranges) || !json.ranges.length || typeof json.primary != "number" ||
+        json.primary < 0 || json.primary >= json.ranges.length)
+      throw new RangeError("Invalid input for MultiSelection.fromJSON")
+    return new MultiSelection(json.ranges.map(range => TextSelection.fromJSON(doc, range)), json.primary)
+  }
+
+  // :: (Node, [{anchor: number, head: ?number}], ?number) → MultiSelection
+  // Create a multi-range selection from non-resolved positions.
+  //
+  // @cn 用未 resolved 过的位置新建一个多范围选区。
+  static create(doc, ranges, primaryIndex) {
+    return new MultiSelection(ranges.map(r => TextSelection.create(doc, r.anchor, r.head == null ? r.anchor : r.head)),
+                              primaryIndex)
+  }
+}
+
+Selection.jsonID("multi", MultiSelection)
+
+class MultiBookmark {
+  constructor(parts, primary) {
+    this.parts = parts
+    this.primary = primary
+  }
+  map(mapping) {
+    return new MultiBookmark(this.parts.map(part => part.map(mapping)), this.primary)
+  }
+  resolve(doc, filter) {
+    let parts = [], primary = 0
+    for (let i = 0; i < this.parts.length; i++) {
+      let sel = this.parts[i].resolve(doc, filter)
+      if (i == this.primary) {
+        if (!(sel instanceof TextSelection)) return sel
+        primary = parts.length
+      } else if (!(sel instanceof TextSelection)) {
+        continue
+      }
+      parts.push(sel)
+    }
+    return multiOrSingle(parts, primary)
+  }
+}
+
+// Create a multi-selection, unless the parts merge into a single
+// text selection.
+function multiOrSingle(parts, primary) {
+  let sel = new MultiSelection(parts, primary)
+  return sel.parts.length == 1 ? sel.parts[0] : sel
+}
+
+// Sort the parts of a multi-selection, and merge those that overlap
+// (or are cursors at the same position). A merged part takes its
+// direction from the primary part, if it includes that, or
+// otherwise from the first part.
+function normalizeParts(parts, primaryIndex) {
+  if (!parts.length) throw new RangeError("A multi-selection needs at least one range")
+  let main = parts[primaryIndex] || parts[0]
+  let sorted = parts.slice().sort((a, b) => a.from - b.from || a.to - b.to)
+  let result = [], primary = 0, lead = null
+  for (let i = 0; i < sorted.length; i++) {
+    let part = sorted[i], last = result[result.length - 1]
+    if (last && (part.from < last.to || part.from == last.to && (part.empty || last.empty))) {
+      if (part == main) lead = main
+      let $to = part.to > last.to ? part.$to : last.$to, backward = lead.head < lead.anchor
+      result[result.length - 1] = new TextSelection(backward ? $to : last.$from, backward ? last.$from : $to)
+    } else {
+      lead = part
+      result.push(part)
+    }
+    if (part == main) primary = result.length - 1
+  }
+  return {parts: result, primary}
+}
+
 // FIXME we'll need some awareness of text direction when scanning for selections
 
 // Try to find a selection inside the given node. `pos` points at the
 // position where the search starts. When `text` is true, only return
-// text selections.
-function findSelectionIn(doc, node, pos, index, dir, text) {
+// text selections. Children rejected by `filter` are skipped.
+function findSelectionIn(doc, node, pos, index, dir, text, filter) {
   if (node.inlineContent) return TextSelection.create(doc, pos)
   for (let i = index - (dir > 0 ? 0 : 1); dir > 0 ? i < node.childCount : i >= 0; i += dir) {
-    let child = node.child(i)
-    if (!child.isAtom) {
-      let inner = findSelectionIn(doc, child, pos + dir, dir < 0 ? child.childCount : 0, dir, text)
-      if (inner) return inner
-    } else if (!text && NodeSelection.isSelectable(child)) {
-      return NodeSelection.create(doc, pos - (dir < 0 ? child.nodeSize : 0))
+    let child = node.child(i), start = pos - (dir < 0 ? child.nodeSize : 0)
+    if (!filter || filter(child, start)) {
+      if (!child.isAtom) {
+        let inner = findSelectionIn(doc, child, pos + dir, dir < 0 ? child.childCount : 0, dir, text, filter)
+        if (inner) return inner
+      } else if (!text && NodeSelection.isSelectable(child)) {
+        return NodeSelection.create(doc, start)
+      }
     }
     pos += child.nodeSize * dir
   }
 }
 
-function selectionToInsertionEnd(tr, startLen, bias) {
+// Check whether none of the ancestors of a position are rejected by
+// the given filter.
+function allowedPos($pos, filter) {
+  if (filter) for (let d = 1; d <= $pos.depth; d++)
+    if (!filter($pos.node(d), $pos.before(d))) return false
+  return true
+}
+
+// Put the new selection at the position after the inserted content.
+// When that ended in an inline node, search backwards, to get the
+// position after that node. If not, search forward.
+function insertionBias(content) {
+  let lastNode = content.content.lastChild, lastParent = null
+  for (let i = 0; i < content.openEnd; i++) {
+    lastParent = lastNode
+    lastNode = lastNode.lastChild
+  }
+  return (lastNode ? lastNode.isInline : lastParent && lastParent.isTextblock) ? -1 : 1
+}
+
+// Find the end of the content inserted by the last step, if that
+// was added after `startLen` and is a replace step.
+function insertionEnd(tr, startLen) {
   let last = tr.steps.length - 1
-  if (last < startLen) return
+  if (last < startLen) return null
   let step = tr.steps[last]
-  if (!(step instanceof ReplaceStep || step instanceof ReplaceAroundStep)) return
-  let map = tr.mapping.maps[last], end
+  if (!(step instanceof ReplaceStep || step instanceof ReplaceAroundStep)) return null
+  let map = tr.mapping.maps[last], end = null
   map.forEach((_from, _to, _newFrom, newTo) => { if (end == null) end = newTo })
-  tr.setSelection(Selection.near(tr.doc.resolve(end), bias))
+  return end
+}
+
+function selectionToInsertionEnd(tr, startLen, bias) {
+  let end = insertionEnd(tr, startLen)
+  if (end != null) tr.setSelection(Selection.near(tr.doc.resolve(end), bias))
+}
+
+// Replace each part of a multi-selection, using `replace` to make the
+// change for a single part, and select a cursor at the end of each
+// of the changes.
+function replaceParts(tr, sel, replace, bias) {
+  let mapFrom = tr.steps.length, ends = []
+  sel.parts.forEach(part => {
+    let mapping = tr.mapping.slice(mapFrom), start = tr.steps.length
+    let to = mapping.map(part.to)
+    replace(mapping.map(part.from), to, part)
+    let end = insertionEnd(tr, start)
+    ends.push({pos: end == null ? tr.mapping.slice(start).map(to) : end, steps: tr.steps.length})
+  })
+  let cursors = [], primary = 0
+  let positions = ends.map(end => tr.doc.resolve(tr.mapping.slice(end.steps).map(end.pos)))
+  positions.forEach(($pos, i) => {
+    let cursor = $pos.parent.inlineContent ? new TextSelection($pos)
+        : Selection.findFrom($pos, bias, true) || Selection.findFrom($pos, -bias, true)
+    if (i == sel.primaryIndex) primary = cursor ? cursors.length : 0
+    if (cursor) cursors.push(cursor)
+  })
+  if (!cursors.length) tr.setSelection(Selection.near(positions[sel.primaryIndex], bias))
+  else tr.setSelection(multiOrSingle(cursors, primary))
 }
@@ -1,6 +1,6 @@
 import {Node} from "prosemirror-model"
 
-import {Selection} from "./selection"
+import {Selection, TextSelection} from "./selection"
 import {Transaction} from "./transaction"
 
 function bind(f, self) {
@@ -10,8 +10,12 @@ function bind(f, self) {
 class FieldDesc {
   constructor(name, desc, self) {
     this.name = name
+    this.plugin = self || null
     this.init = bind(desc.init, self)
     this.apply = bind(desc.apply, self)
+    this.reconfigure = bind(desc.reconfigure, self)
+    this.updateOn = desc.updateOn || null
+    this.updateWhenDisabled = !!desc.updateWhenDisabled
   }
 }
 
@@ -34,28 +38,147 @@ const baseFields = [
   new FieldDesc("scrollToSelection", {
     init() { return 0 },
     apply(tr, prev) { return tr.scrolledIntoView ? prev + 1 : prev }
+  }),
+
+  // Holds an object whose properties are the keys of the disabled
+  // plugins, or null. Plugins disabled with
+  // Transaction.setPluginEnabled have the value true, and those
+  // disabled by the onPluginError option the value "failed".
+  new FieldDesc("disabledPlugins", {
+    init() { return null },
+    apply(tr, prev) {
+      let toggles = tr.pluginToggles
+      if (!toggles) return prev
+      let result = null
+      for (let key in prev) if (toggles[key] !== true)
+        (result || (result = Object.create(null)))[key] = prev[key]
+      for (let key in toggles) if (toggles[key] === false && !(result && result[key]))
+        (result || (result = Object.create(null)))[key] = true
+      return result
+    }
+  }),
+
+  new FieldDesc("unknownJSONFields", {
+    init() { return null },
+    apply(_tr, prev) { return prev }
   })
 ]
 
 // Object wrapping the part of a state object that stays the same
 // across transactions. Stored in the state's `config` property.
 class Configuration {
-  constructor(schema, plugins) {
+  constructor(schema, plugins, options, base) {
     this.schema = schema
+    let maxAppendRounds = getOption(options, base, "maxAppendRounds", 100)
+    if (typeof maxAppendRounds != "number" || isNaN(maxAppendRounds))
+      throw new RangeError("Invalid maxAppendRounds option: " + maxAppendRounds)
+    this.maxAppendRounds = Math.max(1, maxAppendRounds)
+    this.onAppendLimit = getOption(options, base, "onAppendLimit", null)
+    this.debug = getOption(options, base, "debug", false)
+    this.recorder = getOption(options, base, "recorder", null)
+    this.jsonVersion = getOption(options, base, "jsonVersion", null)
+    this.profile = getOption(options, base, "profile", null)
+    this.onPluginError = getOption(options, base, "onPluginError", null)
+    // Memoized results for EditorState.select, keyed by function
+    this.selectors = new WeakMap
     this.fields = baseFields.concat()
     this.plugins = []
+    // The plugins that implement the various transaction hooks
+    this.filterPlugins = []
+    this.transformPlugins = []
+    this.appendPlugins = []
     this.pluginsByKey = Object.create(null)
     if (plugins) plugins.forEach(plugin => {
       if (this.pluginsByKey[plugin.key])
         throw new RangeError("Adding different instances of a keyed plugin (" + plugin.key + ")")
-      this.plugins.push(plugin)
+      if (plugin.key in EditorState.prototype || plugin.key == "config" || baseFields.some(f => f.name == plugin.key))
+        throw new RangeError("Plugin key " + plugin.key + " clashes with a built-in state property")
       this.pluginsByKey[plugin.key] = plugin
+    })
+    if (plugins) sortPlugins(plugins, this.pluginsByKey).forEach(plugin => {
+      this.plugins.push(plugin)
       if (plugin.spec.state)
         this.fields.push(new FieldDesc(plugin.key, plugin.spec.state, plugin))
+      if (plugin.spec.filterTransaction) this.filterPlugins.push(plugin)
+      if (plugin.spec.transformTransaction) this.transformPlugins.push(plugin)
+      if (plugin.spec.appendTransaction) this.appendPlugins.push(plugin)
     })
   }
 }
 
+// Plugins whose hooks shouldn't run, because they were disabled by
+// a transaction or after throwing an error.
+function pluginInactive(state, plugin, run) {
+  return run.failed && run.failed[plugin.key] || !state.isPluginEnabled(plugin)
+}
+
+// Whether a plugin field should keep its previous value because its
+// plugin is disabled. Fields of plugins that failed are never
+// updated, even when they set updateWhenDisabled.
+function fieldFrozen(field, state, run) {
+  if (run.failed && run.failed[field.name]) return true
+  let disabled = state.disabledPlugins && state.disabledPlugins[field.name]
+  return disabled == "failed" || disabled && !field.updateWhenDisabled
+}
+
+// Read an option from a config object, falling back to the value in
+// the configuration it replaces, if any.
+function getOption(options, base, name, deflt) {
+  if (options && options[name] !== undefined) return options[name]
+  return base ? base[name] : deflt
+}
+
+function depsPlaced(plugin, placed) {
+  let deps = plugin.spec.dependencies
+  if (deps) for (let i = 0; i < deps.length; i++)
+    if (!placed[deps[i].key]) return false
+  return true
+}
+
+// Find a dependency cycle among a set of plugins that can't be
+// placed, for error reporting.
+function findCycle(pending, placed, byKey) {
+  let path = [], plugin = pending[0]
+  while (path.indexOf(plugin) < 0) {
+    path.push(plugin)
+    let deps = plugin.spec.dependencies
+    for (let i = 0; i < deps.length; i++) if (!placed[deps[i].key]) {
+      plugin = byKey[deps[i].key]
+      break
+    }
+  }
+  return path.slice(path.indexOf(plugin)).concat(plugin)
+}
+
+// : ([Plugin], Object<Plugin>) → [Plugin]
+// Order plugins so that every plugin comes after the plugins it
+// depends on. Among the plugins whose dependencies have been placed,
+// the one with the highest priority goes first, and ties are broken
+// by the order in which the plugins were given.
+function sortPlugins(plugins, byKey) {
+  plugins.forEach(plugin => {
+    let deps = plugin.spec.dependencies
+    if (deps) deps.forEach(dep => {
+      if (!byKey[dep.key])
+        throw new RangeError("Plugin " + plugin.key + " depends on " + dep.key + ", which is not present")
+    })
+  })
+  let result = [], pending = plugins.slice(), placed = Object.create(null)
+  while (pending.length) {
+    let best = -1
+    for (let i = 0; i < pending.length; i++) {
+      if (!depsPlaced(pending[i], placed)) continue
+      if (best < 0 || (pending[i].spec.priority || 0) > (pending[best].spec.priority || 0)) best = i
+    }
+    if (best < 0)
+      throw new RangeError("Cyclic plugin dependencies (" + findCycle(pending, placed, byKey).map(p => p.key).join(" → ") + ")")
+    let plugin = pending.splice(best, 1)[0]
+    placed[plugin.key] = true
+    result.push(plugin)
+  }
+  return result
+}
+
 // ::- The state of a ProseMirror editor is represented by an object
 // of this type. A state is a persistent data structure—it isn't
 // updated, but rather a new state value is computed from an old one
@@ -88,6 +211,16 @@ export class EditorState {
   //
   // @cn 即将要应用到下一次输入的 marks。如果没有显式的设置 marks，此字段将会是 null。
 
+  // unknownJSONFields:: ?Object
+  // Properties from the JSON this state was
+  // [deserialized](#state.EditorState^fromJSON) from that didn't
+  // belong to any of its plugins. These are kept as they are, and
+  // included again when the state is serialized, so that the state
+  // of plugins that aren't active in this state isn't lost.
+  //
+  // @cn 在该 state 被 [反序列化](#state.EditorState^fromJSON) 的 JSON 中，不属于其任何插件的属性。
+  // 这些属性会被原样保留，并在 state 被序列化的时候重新包含进去，以免丢失当前 state 中未激活的插件的 state。
+
   // :: Schema
   // The schema of the state's document.
   //
@@ -97,13 +230,33 @@ export class EditorState {
   }
 
   // :: [Plugin]
-  // The plugins that are active in this state.
+  // The plugins that are active in this state. Plugins that were
+  // [disabled](#state.Transaction.setPluginEnabled) are still
+  // included, so that reconfiguring with this array keeps them, and
+  // the array stays the same when plugins are toggled. Use
+  // [`isPluginEnabled`](#state.EditorState.isPluginEnabled) to check
+  // whether a plugin is enabled.
   //
-  // @cn 在当前 state 中激活的 plugins。
+  // @cn 在当前 state 中激活的 plugins。被 [禁用](#state.Transaction.setPluginEnabled) 的插件依然包括在内，
+  // 这样用该数组重新配置 state 的时候它们会被保留，而且在插件被启用或禁用的时候该数组保持不变。
+  // 使用 [`isPluginEnabled`](#state.EditorState.isPluginEnabled) 来检查一个插件是否被启用。
   get plugins() {
     return this.config.plugins
   }
 
+  // :: (union<Plugin, PluginKey>) → bool
+  // Tells you whether the given plugin is enabled in this state. This
+  // is true unless it was
+  // [disabled](#state.Transaction.setPluginEnabled) by a transaction,
+  // or by the [`onPluginError`](#state.EditorState^create)
+  // option after raising an error.
+  //
+  // @cn 返回给定的插件在当前 state 中是否被启用。除非它被某个 transaction [禁用](#state.Transaction.setPluginEnabled) 了，
+  // 或者在抛出错误之后被 [`onPluginError`](#state.EditorState^create) 选项禁用了，否则返回 true。
+  isPluginEnabled(plugin) {
+    return !this.disabledPlugins || !this.disabledPlugins[plugin.key]
+  }
+
   // :: (Transaction) → EditorState
   // Apply the given transaction to produce a new state.
   //
@@ -112,70 +265,203 @@ export class EditorState {
     return this.applyTransaction(tr).state
   }
 
-  // : (Transaction) → bool
-  filterTransaction(tr, ignore = -1) {
-    for (let i = 0; i < this.config.plugins.length; i++) if (i != ignore) {
-      let plugin = this.config.plugins[i]
-      if (plugin.spec.filterTransaction && !plugin.spec.filterTransaction.call(plugin, tr, this))
-        return false
+  // : (Transaction, ?Plugin, ApplyRun) → bool
+  filterTransaction(tr, ignore, run) {
+    let plugins = this.config.filterPlugins, timings = run.timings
+    for (let i = 0; i < plugins.length; i++) {
+      let plugin = plugins[i]
+      if (plugin == ignore || pluginInactive(this, plugin, run)) continue
+      let start = timings && now(), result
+      try {
+        result = plugin.spec.filterTransaction.call(plugin, tr, this)
+      } catch (e) {
+        if (!handlePluginError(this.config, plugin, "filterTransaction", tr, e, run)) throw e
+        result = true
+      }
+      if (timings) timings.add(plugin.key, "filterTransaction", now() - start)
+      if (!result) return false
     }
     return true
   }
 
-  // :: (Transaction) → {state: EditorState, transactions: [Transaction]}
+  // : (Transaction, ?Plugin, ApplyRun) → Transaction
+  transformTransaction(tr, ignore, run) {
+    let plugins = this.config.transformPlugins, timings = run.timings
+    for (let i = 0; i < plugins.length; i++) {
+      let plugin = plugins[i]
+      if (plugin == ignore || pluginInactive(this, plugin, run)) continue
+      let start = timings && now()
+      try {
+        // When errors are caught, the hook gets a copy, so that
+        // changes it made before failing can be discarded
+        let arg = this.config.onPluginError ? tr.copy() : tr
+        let result = plugin.spec.transformTransaction.call(plugin, arg, this)
+        if (!(result instanceof Transaction))
+          throw new RangeError("transformTransaction of plugin " + plugin.key + " did not return a transaction")
+        tr = result
+      } catch (e) {
+        if (!handlePluginError(this.config, plugin, "transformTransaction", tr, e, run)) throw e
+      }
+      if (timings) timings.add(plugin.key, "transformTransaction", now() - start)
+    }
+    return tr
+  }
+
+  // :: (Transaction) → {state: EditorState, transactions: [Transaction], changedFields: [string]}
   // Verbose variant of [`apply`](#state.EditorState.apply) that
   // returns the precise transactions that were applied (which might
   // be influenced by the [transaction
   // hooks](#state.PluginSpec.filterTransaction) of
-  // plugins) along with the new state.
+  // plugins) along with the new state. When plugins
+  // [transform](#state.PluginSpec.transformTransaction) transactions,
+  // the returned array holds the transformed versions. `changedFields`
+  // lists the [fields](#state.EditorState.changedFields) whose value
+  // was replaced.
   //
   // @cn [`apply`](#state.EditorState.apply) 的复杂版。该接口返回将应用到旧 state 以产生新 state 的每一个 transactions
   // （其返回解构可能被插件的 [transaction hooks](#state.PluginSpec.filterTransaction) 影响。）
+  // 如果插件 [转换](#state.PluginSpec.transformTransaction) 了 transactions，返回的数组中是转换后的 transactions。
+  // `changedFields` 列出了值被替换了的 [字段](#state.EditorState.changedFields)。
   applyTransaction(rootTr) {
-    if (!this.filterTransaction(rootTr)) return {state: this, transactions: []}
+    let profile = this.config.profile, run = new ApplyRun(profile ? new Timings : null)
+    if (!profile) return this.applyTransactionInner(rootTr, run)
+    let start = now()
+    let result = this.applyTransactionInner(rootTr, run)
+    profile({transaction: rootTr, transactions: result.transactions, time: now() - start, plugins: run.timings.plugins})
+    return result
+  }
+
+  // : (Transaction, ApplyRun) → {state: EditorState, transactions: [Transaction], changedFields: [string]}
+  applyTransactionInner(rootTr, run) {
+    if (!this.filterTransaction(rootTr, null, run)) {
+      let state = run.failed ? recordFailures(this, run.failed) : this
+      return {state, transactions: [], changedFields: state.changedFields(this)}
+    }
+    let recorder = this.config.recorder, timings = run.timings
+    // Serialized before transform hooks run, since those may add to
+    // the transaction, and will run again when it is replayed
+    let rootJSON = recorder && rootTr.toJSON()
+    rootTr = this.transformTransaction(rootTr, null, run)
 
-    let trs = [rootTr], newState = this.applyInner(rootTr), seen = null
+    let trs = [rootTr], newState = this.applyInner(rootTr, run), seen = null
+    if (recorder) recorder.addTransaction(rootJSON, null, newState)
+    let appendedBy = [null], rounds = 0, appenders = this.config.appendPlugins
     // This loop repeatedly gives plugins a chance to respond to
     // transactions as new transactions are added, making sure to only
     // pass the transactions the plugin did not see before.
-    outer: for (;;) {
-      let haveNew = false
-      for (let i = 0; i < this.config.plugins.length; i++) {
-        let plugin = this.config.plugins[i]
-        if (plugin.spec.appendTransaction) {
-          let n = seen ? seen[i].n : 0, oldState = seen ? seen[i].state : this
-          let tr = n < trs.length &&
+    for (;;) {
+      let haveNew = false, roundStart = trs.length
+      for (let i = 0; i < appenders.length; i++) {
+        let plugin = appenders[i]
+        if (!pluginInactive(newState, plugin, run)) {
+          let n = seen ? seen[i].n : 0, oldState = seen ? seen[i].state : this, start = timings && now(), tr
+          try {
+            tr = n < trs.length &&
               plugin.spec.appendTransaction.call(plugin, n ? trs.slice(n) : trs, oldState, newState)
-          if (tr && newState.filterTransaction(tr, i)) {
+          } catch (e) {
+            if (!handlePluginError(this.config, plugin, "appendTransaction", trs[trs.length - 1], e, run)) throw e
+            tr = null
+          }
+          if (timings) timings.add(plugin.key, "appendTransaction", now() - start)
+          if (tr && newState.filterTransaction(tr, plugin, run)) {
+            tr = newState.transformTransaction(tr, plugin, run)
             tr.setMeta("appendedTransaction", rootTr)
+            tr.inheritMetaFrom(rootTr)
             if (!seen) {
               seen = []
-              for (let j = 0; j < this.config.plugins.length; j++)
+              for (let j = 0; j < appenders.length; j++)
                 seen.push(j < i ? {state: newState, n: trs.length} : {state: this, n: 0})
             }
             trs.push(tr)
-            newState = newState.applyInner(tr)
+            appendedBy.push(plugin)
+            newState = newState.applyInner(tr, run)
+            if (recorder) recorder.addTransaction(tr.toJSON(), plugin, newState)
             haveNew = true
           }
           if (seen) seen[i] = {state: newState, n: trs.length}
         }
       }
-      if (!haveNew) return {state: newState, transactions: trs}
+      if (!haveNew) break
+      if (++rounds > this.config.maxAppendRounds) {
+        let info = appendLoopInfo(rounds, trs, appendedBy, roundStart)
+        if (!this.config.onAppendLimit) {
+          let err = new RangeError(info.message)
+          err.appendLoop = info
+          throw err
+        }
+        this.config.onAppendLimit(info)
+        break
+      }
     }
+    if (run.failed) newState = recordFailures(newState, run.failed)
+    return {state: newState, transactions: trs, changedFields: newState.changedFields(this)}
   }
 
-  // : (Transaction) → EditorState
-  applyInner(tr) {
+  // : (Transaction, ApplyRun) → EditorState
+  applyInner(tr, run) {
     if (!tr.before.eq(this.doc)) throw new RangeError("Applying a mismatched transaction")
-    let newInstance = new EditorState(this.config), fields = this.config.fields
+    if (this.config.debug) checkMeta(this.config, tr)
+    let newInstance = new EditorState(this.config), fields = this.config.fields, timings = run.timings
     for (let i = 0; i < fields.length; i++) {
-      let field = fields[i]
-      newInstance[field.name] = field.apply(tr, this[field.name], this, newInstance)
+      let field = fields[i], start = timings && now()
+      if (field.plugin && fieldFrozen(field, newInstance, run) ||
+          field.updateOn && !fieldAffected(field.updateOn, tr, this, newInstance)) {
+        newInstance[field.name] = this[field.name]
+        continue
+      }
+      try {
+        newInstance[field.name] = field.apply(tr, this[field.name], this, newInstance)
+      } catch (e) {
+        if (!field.plugin || !handlePluginError(this.config, field.plugin, "apply", tr, e, run)) throw e
+        newInstance[field.name] = this[field.name]
+      }
+      if (timings && this.config.pluginsByKey[field.name]) timings.add(field.name, "apply", now() - start)
+      if (this.config.debug) checkField(newInstance, field, tr)
     }
     for (let i = 0; i < applyListeners.length; i++) applyListeners[i](this, tr, newInstance)
     return newInstance
   }
 
+  // :: (EditorState) → [string]
+  // Return the names of the fields whose value in this state isn't
+  // the same (by identity) as in the given state. Built-in fields
+  // are named `"doc"`, `"selection"`, and so on, and plugin fields
+  // are named by their plugin's key string.
+  //
+  // @cn 返回在当前 state 中的值与在给定 state 中的值不同（按引用比较）的字段名。内建字段的名字是 `"doc"`、`"selection"` 等等，
+  // 插件字段的名字则是其插件的 key 字符串。
+  changedFields(other) {
+    let fields = this.config.fields, result = []
+    for (let i = 0; i < fields.length; i++) {
+      let name = fields[i].name
+      if (this[name] !== other[name]) result.push(name)
+    }
+    return result
+  }
+
+  // :: (union<string, Plugin, PluginKey>, (value: any) → any) → any
+  // Compute a value derived from one of the state's fields, which is
+  // either the name of a built-in field (`"doc"`, `"selection"`, or
+  // `"storedMarks"`) or a plugin or plugin key. The result is
+  // memoized, so that as long as the field holds the same value, `f`
+  // is not called again. Results are cached per function, so a
+  // function created anew for every call is called every time.
+  //
+  // @cn 计算从 state 的某个字段派生出来的值，字段可以是内建字段的名字（`"doc"`、`"selection"` 或者 `"storedMarks"`），也可以是一个插件或者插件 key。
+  // 结果会被缓存，因此只要该字段的值不变，就不会再次调用 `f`。结果是按函数缓存的，因此每次调用都新建的函数每次都会被调用。
+  select(field, f) {
+    let name = typeof field == "string" ? field : field.key, value = this[name]
+    let selectors = this.config.selectors, cache = selectors.get(f)
+    if (!cache) selectors.set(f, cache = Object.create(null))
+    let cached = cache[name]
+    if (!cached) cached = cache[name] = {value, result: f(value)}
+    else if (cached.value !== value) {
+      cached.value = value
+      cached.result = f(value)
+    }
+    return cached.result
+  }
+
   // :: Transaction
   // Start a [transaction](#state.Transaction) from this state.
   //
@@ -217,11 +503,125 @@ export class EditorState {
   //      The plugins that should be active in this state.
   //
   //      @cn state 中激活的 plugins。
+  //
+  //      maxAppendRounds:: ?number
+  //      The maximum number of rounds of
+  //      [`appendTransaction`](#state.PluginSpec.appendTransaction)
+  //      calls that [`applyTransaction`](#state.EditorState.applyTransaction)
+  //      will run before concluding that plugins are stuck appending
+  //      transactions in response to each other. When the round after
+  //      the last allowed one still appends a transaction, the loop is
+  //      reported. Defaults to 100. Values below 1 are treated as 1.
+  //
+  //      @cn [`applyTransaction`](#state.EditorState.applyTransaction) 调用 [`appendTransaction`](#state.PluginSpec.appendTransaction) 的最大轮数，
+  //      超过这个轮数则认为插件陷入了相互附加 transaction 的死循环。如果最后一个允许的轮次之后的那一轮依然附加了 transaction，则会报告该循环。默认是 100。小于 1 的值会被当做 1。
+  //
+  //      onAppendLimit:: ?(info: Object)
+  //      By default, hitting `maxAppendRounds` raises an error that
+  //      names the plugins that kept appending transactions, and
+  //      summarizes the steps they produced. When this callback is
+  //      given, it is called instead with an object holding that
+  //      `message`, the number of `rounds`, an array of `plugins`
+  //      (objects with `key`, `transactions`, and `steps` properties,
+  //      the latter counting the steps they produced by step type),
+  //      and the `transactions` applied so far, and the state produced
+  //      by those transactions is returned.
+  //
+  //      @cn 默认情况下，达到 `maxAppendRounds` 会抛出一个错误，错误信息中会列出持续附加 transaction 的插件，以及它们产生的 steps 的概要。
+  //      如果提供了该回调，则会调用它而不是抛出错误，参数是一个对象，包含上述 `message`、轮数 `rounds`、插件数组 `plugins`
+  //      （其元素有 `key`、`transactions` 和 `steps` 属性，`steps` 按 step 类型统计了插件产生的 step 数量），以及目前为止应用的 `transactions`，
+  //      然后返回由这些 transactions 产生的 state。
+  //
+  //      debug:: ?bool
+  //      When enabled, the state verifies its invariants every time
+  //      a field is initialized or updated: the document must be
+  //      [valid](#model.Node.check) for the schema, the selection
+  //      must point into the document, stored marks may only be
+  //      present with a cursor selection, and plugin state fields may
+  //      not be `undefined`. Violations raise an error with
+  //      `transaction` and `pluginKey` properties that point at the
+  //      transaction and plugin (if any) responsible. Transactions'
+  //      metadata for plugin keys is also checked against the keys'
+  //      [validators](#state.PluginKey).
+  //      This is slow, and meant to be used during development.
+  //
+  //      @cn 启用的时候，state 会在每次初始化或者更新字段的时候验证其不变量：文档对于 schema 必须是 [合法的](#model.Node.check)，
+  //      选区必须指向当前文档，只有光标选区才可以有 stored marks，插件的 state 字段不能是 `undefined`。
+  //      违反这些约束会抛出一个错误，错误对象的 `transaction` 和 `pluginKey` 属性指向要为此负责的 transaction 和插件（如果有的话）。
+  //      transactions 中插件 key 对应的 metadata 信息也会用这些 key 的 [验证函数](#state.PluginKey) 来检查。
+  //      该检查比较慢，应该只在开发环境中使用。
+  //
+  //      profile:: ?(summary: Object)
+  //      When given, the time spent in each plugin's hooks is
+  //      measured, and this function is called at the end of every
+  //      call to [`applyTransaction`](#state.EditorState.applyTransaction)
+  //      with a summary. That is an object holding the root
+  //      `transaction`, the `transactions` that were applied, the
+  //      total `time` taken (in milliseconds), and a `plugins` object
+  //      that maps plugin keys to objects with the time spent in the
+  //      plugin's [state field](#state.StateField.apply) `apply`,
+  //      `filterTransaction`, `transformTransaction`, and
+  //      `appendTransaction` functions. Plugins whose hooks weren't
+  //      called are left out. When not given, no measuring is done.
+  //
+  //      @cn 如果提供了该函数，则会测量每个插件的钩子函数所花费的时间，并在每次调用 [`applyTransaction`](#state.EditorState.applyTransaction) 结束的时候，
+  //      用一个概要对象调用它。该对象包括根 `transaction`、被应用的 `transactions`、总共花费的时间 `time`（以毫秒计），
+  //      以及一个 `plugins` 对象，它将插件的 key 映射到一个对象上，该对象包含插件的 [state 字段](#state.StateField.apply) 的 `apply`、
+  //      `filterTransaction`、`transformTransaction` 和 `appendTransaction` 函数所花费的时间。钩子函数没有被调用的插件不会出现在其中。
+  //      如果没有提供该函数，则不会进行任何测量。
+  //
+  //      onPluginError:: ?(error: Error, info: Object) → ?string
+  //      By default, errors raised by plugins while a transaction is
+  //      applied propagate out of
+  //      [`applyTransaction`](#state.EditorState.applyTransaction),
+  //      and the transaction is lost. When this is given, such errors
+  //      are passed to it, along with an object holding the `plugin`,
+  //      its `key`, the `hook` that failed (`"apply"`,
+  //      `"filterTransaction"`, `"transformTransaction"`, or
+  //      `"appendTransaction"`), and the `transaction` being handled.
+  //      It should return a policy: `"rethrow"` raises the error as
+  //      usual, `"keep"` (the default) ignores it, keeping the
+  //      plugin's previous field value or leaving the transaction
+  //      as it was before the failing hook ran, and `"disable"` does the same and also
+  //      disables the plugin in the resulting state, as if by
+  //      [`setPluginEnabled`](#state.Transaction.setPluginEnabled),
+  //      so that its hooks and props no longer run and its state
+  //      field is left as it is. A disabled plugin can be enabled
+  //      again with `setPluginEnabled`, or by reconfiguring the state
+  //      with a different instance of the plugin.
+  //
+  //      @cn 默认情况下，在应用一个 transaction 的时候插件抛出的错误会从 [`applyTransaction`](#state.EditorState.applyTransaction) 中传播出去，
+  //      该 transaction 也会丢失。如果提供了该函数，这些错误会被传给它，同时传入一个对象，其中包括插件 `plugin`、插件的 `key`、
+  //      出错的钩子函数 `hook`（`"apply"`、`"filterTransaction"`、`"transformTransaction"` 或者 `"appendTransaction"`），
+  //      以及正在被处理的 `transaction`。它应该返回一个处理策略：`"rethrow"` 会像平常一样抛出错误；
+  //      `"keep"`（默认）会忽略错误，保留插件之前的字段值或者让该 transaction 保持出错的钩子函数运行之前的样子；`"disable"` 除了同样的处理之外，
+  //      还会像 [`setPluginEnabled`](#state.Transaction.setPluginEnabled) 那样在产生的 state 中禁用该插件，
+  //      使其钩子函数和 props 不再执行，其 state 字段则保持不变。被禁用的插件可以通过 `setPluginEnabled`
+  //      重新启用，或者通过用该插件的另一个实例重新配置 state 来重新启用。
+  //
+  //      recorder:: ?TransactionRecorder
+  //      A recorder that should be notified of every applied
+  //      transaction. Usually set up through
+  //      [`TransactionRecorder.record`](#state.TransactionRecorder.record).
+  //
+  //      @cn 一个应该在每个 transaction 被应用的时候得到通知的记录器。通常通过 [`TransactionRecorder.record`](#state.TransactionRecorder.record) 来设置。
+  //
+  //      jsonVersion:: ?number
+  //      The version of the state's JSON format. When given,
+  //      [`toJSON`](#state.EditorState.toJSON) adds a `version`
+  //      property with this value to its output, and
+  //      [`fromJSON`](#state.EditorState^fromJSON) upgrades JSON with
+  //      an older version through its `migrations`.
+  //
+  //      @cn state 的 JSON 格式的版本。如果提供了该值，[`toJSON`](#state.EditorState.toJSON) 会在输出中增加一个值为该版本的 `version` 属性，
+  //      而 [`fromJSON`](#state.EditorState^fromJSON) 则会通过其 `migrations` 来升级较旧版本的 JSON。
   static create(config) {
-    let $config = new Configuration(config.doc ? config.doc.type.schema : config.schema, config.plugins)
+    let $config = new Configuration(config.doc ? config.doc.type.schema : config.schema, config.plugins, config)
     let instance = new EditorState($config)
-    for (let i = 0; i < $config.fields.length; i++)
+    for (let i = 0; i < $config.fields.length; i++) {
       instance[$config.fields[i].name] = $config.fields[i].init(config, instance)
+      if ($config.debug) checkField(instance, $config.fields[i], null)
+    }
     return instance
   }
 
@@ -231,16 +631,34 @@ export class EditorState {
   // are kept unchanged. Those that no longer exist are dropped, and
   // those that are new are initialized using their
   // [`init`](#state.StateField.init) method, passing in the new
-  // configuration object..
+  // configuration object. When a plugin is replaced by a different
+  // instance with the same [key](#state.PluginKey), and the new
+  // plugin's state field has a
+  // [`reconfigure`](#state.StateField.reconfigure) method, that is
+  // used to migrate the old field value. New fields whose JSON name
+  // (their [`jsonName`](#state.StateField.jsonName) or
+  // [stable](#state.PluginKey.stable) key) is present in this
+  // state's [unknown fields](#state.EditorState.unknownJSONFields)
+  // are restored from there with their
+  // [`fromJSON`](#state.StateField.fromJSON) method instead, and
+  // removed from the unknown fields.
   //
   // @cn 基于当前的 state 新建一个新的 state，只是新的 state 的中的字段会由传入的 plugins 重新配置。新旧两组 plugins 中的 state 字段中都存在的字段保持不变。
   // （相比于旧的 plugins 中）不再存在的字段将会被丢弃，新增的字段将会使用 plugin 的 state 对象的 [`init`](#state.StateField.init) 方法进行初始化后作为新的 state 字段。
+  // 如果一个插件被另一个有着相同 [key](#state.PluginKey) 的插件实例替换，且新插件的 state 字段有 [`reconfigure`](#state.StateField.reconfigure) 方法，
+  // 则会使用该方法来迁移旧的字段值。如果新增字段的 JSON 名字（即它的 [`jsonName`](#state.StateField.jsonName) 或者 [稳定](#state.PluginKey.stable) key）
+  // 存在于当前 state 的 [未知字段](#state.EditorState.unknownJSONFields) 中，则会改用其 [`fromJSON`](#state.StateField.fromJSON) 方法从那里恢复该字段，
+  // 并将其从未知字段中移除。
   //
   // @comment plugin 配置对象有一个 state 字段，其有两个方法，一个是 init 用来初始化 state；一个是 apply，用来决定如何更新 state。此 create 方法对于新增的 plugin 会调用其 state 的 init 方法进行初始化，以生成编辑器的 state。
   //
-  //   config::- configuration options
+  //   config::- configuration options. Options accepted by
+  //   [`create`](#state.EditorState^create), such as
+  //   `maxAppendRounds`, may also be given here. Those that are left
+  //   out keep the value they had in this state.
   //
-  //     @cn 配置选项，之前还有一个 schema 属性可以配置，后来没；之前返回的 Plugin 是可选的，即可能什么也不返回，后来去掉了可选符号 `?` 不知道什么原因，有兴趣的可以看下变更历史。
+  //     @cn 配置选项。[`create`](#state.EditorState^create) 接受的其他选项，比如 `maxAppendRounds`，也可以在这里提供。没有提供的选项保持其在当前 state 中的值。
+  //     之前还有一个 schema 属性可以配置，后来没；之前返回的 Plugin 是可选的，即可能什么也不返回，后来去掉了可选符号 `?` 不知道什么原因，有兴趣的可以看下变更历史。
   //
   //     plugins:: [Plugin]
   //     New set of active plugins.
@@ -249,11 +667,35 @@ export class EditorState {
   //
   //     @comment plugins 上的 state 构成新的编辑器的 state。
   reconfigure(config) {
-    let $config = new Configuration(this.schema, config.plugins)
+    let $config = new Configuration(this.schema, config.plugins, config, this.config)
     let fields = $config.fields, instance = new EditorState($config)
+    let unknown = this.unknownJSONFields, restored = null
     for (let i = 0; i < fields.length; i++) {
-      let name = fields[i].name
-      instance[name] = this.hasOwnProperty(name) ? this[name] : fields[i].init(config, instance)
+      let field = fields[i], name = field.name
+      if (!this.hasOwnProperty(name)) {
+        let plugin = $config.pluginsByKey[name], jsonName = plugin && pluginJSONName(plugin)
+        if (unknown && jsonName != null && plugin.spec.state.fromJSON &&
+            Object.prototype.hasOwnProperty.call(unknown, jsonName)) {
+          // The field's state was kept from the JSON this state was
+          // loaded from, restore it from there.
+          let jsonConfig = {schema: this.schema}
+          for (let prop in config) jsonConfig[prop] = config[prop]
+          instance[name] = plugin.spec.state.fromJSON.call(plugin, jsonConfig, unknown[jsonName], instance)
+          if (!restored) restored = []
+          restored.push(jsonName)
+        } else {
+          instance[name] = field.init(config, instance)
+        }
+      } else if (field.reconfigure && this.config.pluginsByKey[name] != $config.pluginsByKey[name])
+        instance[name] = field.reconfigure(this[name], this, instance)
+      else
+        instance[name] = this[name]
+    }
+    instance.disabledPlugins = dropReplacedFailures(instance.disabledPlugins, this.config, $config)
+    if (restored) {
+      let left = null
+      for (let prop in unknown) if (restored.indexOf(prop) < 0) (left || (left = {}))[prop] = unknown[prop]
+      instance.unknownJSONFields = left
     }
     return instance
   }
@@ -263,21 +705,36 @@ export class EditorState {
   // of plugins, pass an object mapping property names to use in the
   // resulting JSON object to plugin objects. The argument may also be
   // a string or number, in which case it is ignored, to support the
-  // way `JSON.stringify` calls `toString` methods.
+  // way `JSON.stringify` calls `toString` methods. When no object is
+  // given, the state of plugins that declare a
+  // [`jsonName`](#state.StateField.jsonName) is serialized under that
+  // name, and that of plugins with a
+  // [stable](#state.PluginKey.stable) key under the name of that key.
+  // [Unknown fields](#state.EditorState.unknownJSONFields) are added
+  // to the result as well.
   //
   // @cn 将 state 对象序列化成 JSON 对象。如果你想序列化 plugin 的 state，则需要传递一个有着属性名-插件的映射关系的对象，该对象的属性名就会出现在返回值结果对象中。
   // 参数也可以是字符串或者数字，但这种情况下参数会被忽略，以支持以 `JSON.stringify` 的方式调用 `toString` 方法。
+  // 如果没有传入对象，则声明了 [`jsonName`](#state.StateField.jsonName) 的插件的 state 会以该名字被序列化，
+  // 有着 [稳定](#state.PluginKey.stable) key 的插件的 state 会以其 key 的名字被序列化。
+  // [未知字段](#state.EditorState.unknownJSONFields) 也会被添加到结果中。
   //
   // @comment 如果想序列化 plugin 的 state，需要 plugin 的 state 对象有提供 toJSON 方法，该方法的参数是 plugin 的 key。`doc` 和 `selection` 是保留字段，不能作为参数对象的属性名。
   toJSON(pluginFields) {
     let result = {doc: this.doc.toJSON(), selection: this.selection.toJSON()}
     if (this.storedMarks) result.storedMarks = this.storedMarks.map(m => m.toJSON())
-    if (pluginFields && typeof pluginFields == 'object') for (let prop in pluginFields) {
+    if (this.config.jsonVersion != null) result.version = this.config.jsonVersion
+    if (!pluginFields || typeof pluginFields != 'object') pluginFields = defaultPluginFields(this.config)
+    for (let prop in pluginFields) {
       if (prop == "doc" || prop == "selection")
         throw new RangeError("The JSON fields `doc` and `selection` are reserved")
+      if (prop == "version" && result.version != null)
+        throw new RangeError("The JSON field `version` is reserved when a JSON version is configured")
       let plugin = pluginFields[prop], state = plugin.spec.state
       if (state && state.toJSON) result[prop] = state.toJSON.call(plugin, this[plugin.key])
     }
+    let unknown = this.unknownJSONFields
+    if (unknown) for (let prop in unknown) if (!(prop in result)) result[prop] = unknown[prop]
     return result
   }
 
@@ -287,16 +744,25 @@ export class EditorState {
   // plugins to initialize the state with. `pluginFields` can be used
   // to deserialize the state of plugins, by associating plugin
   // instances with the property names they use in the JSON object.
+  // When not given, plugins read their state from the property named
+  // by their [`jsonName`](#state.StateField.jsonName) or
+  // [stable](#state.PluginKey.stable) key, and properties that don't
+  // belong to any plugin are stored in the state's
+  // [`unknownJSONFields`](#state.EditorState.unknownJSONFields).
   //
   // @cn 反序列化一个 state 的 JSON 表示。`config` 至少应该有一个 `schema` 字段，并且应该包含用来初始化 state 的 plugin 数组。
   // `pluginField` 参数通过在 JSON 对象中的属性名与 plugin 实例对应的方式来反序列化 plugin 的 state。
+  // 如果没有提供该参数，插件会从以其 [`jsonName`](#state.StateField.jsonName) 或者 [稳定](#state.PluginKey.stable) key 命名的属性中读取它们的 state，
+  // 不属于任何插件的属性则会被储存在 state 的 [`unknownJSONFields`](#state.EditorState.unknownJSONFields) 中。
   //
   // @comment `pluginFields` 中的属性名如果对应到了某个 plugin 的 key（string），则会调用对应 plugin 的 state 的 fromJSON 方法，
   // 如果没有对应到任一个 plugin 的 key，则会直接调 plugin 的 state 的 init 方法，前者参数是 config、插件对应的 json 和根据 config 生成的编辑器 state；后者参数是 config 和根据 config 生成的编辑器的 state。
   //
-  //   config::- configuration options
+  //   config::- configuration options. Options accepted by
+  //   [`create`](#state.EditorState^create), such as
+  //   `maxAppendRounds`, may also be given here.
   //
-  //   @cn 配置选项
+  //   @cn 配置选项。[`create`](#state.EditorState^create) 接受的其他选项，比如 `maxAppendRounds`，也可以在这里提供。
   //
   //     schema:: Schema
   //     The schema to use.
@@ -307,32 +773,46 @@ export class EditorState {
   //     The set of active plugins.
   //
   //     @cn 激活插件的集合。
+  //
+  //     migrations:: ?Object<(Object) → Object>
+  //     When `jsonVersion` is given, JSON with an older `version`
+  //     (JSON without a version counts as version 0) is upgraded one
+  //     version at a time before it is deserialized. This object maps
+  //     each version to a function that takes JSON of that version
+  //     and returns the equivalent JSON for the next version. It can
+  //     rename nodes and marks, adjust attributes, or change the shape
+  //     of plugin fields.
+  //
+  //     @cn 如果提供了 `jsonVersion`，较旧 `version` 的 JSON（没有版本的 JSON 被当做版本 0）会在反序列化之前被逐个版本地升级。
+  //     该对象将每个版本映射到一个函数，函数接收该版本的 JSON 并返回下一个版本中对应的 JSON。它可以重命名节点和 marks、调整 attributes，或者改变插件字段的结构。
   static fromJSON(config, json, pluginFields) {
-    if (!json) throw new RangeError("Invalid input for EditorState.fromJSON")
-    if (!config.schema) throw new RangeError("Required config field 'schema' missing")
-    let $config = new Configuration(config.schema, config.plugins)
-    let instance = new EditorState($config)
-    $config.fields.forEach(field => {
-      if (field.name == "doc") {
-        instance.doc = Node.fromJSON(config.schema, json.doc)
-      } else if (field.name == "selection") {
-        instance.selection = Selection.fromJSON(instance.doc, json.selection)
-      } else if (field.name == "storedMarks") {
-        if (json.storedMarks) instance.storedMarks = json.storedMarks.map(config.schema.markFromJSON)
-      } else {
-        if (pluginFields) for (let prop in pluginFields) {
-          let plugin = pluginFields[prop], state = plugin.spec.state
-          if (plugin.key == field.name && state && state.fromJSON &&
-              Object.prototype.hasOwnProperty.call(json, prop)) {
-            // This field belongs to a plugin mapped to a JSON field, read it from there.
-            instance[field.name] = state.fromJSON.call(plugin, config, json[prop], instance)
-            return
-          }
-        }
-        instance[field.name] = field.init(config, instance)
-      }
-    })
-    return instance
+    return stateFromJSON(config, json, pluginFields, null)
+  }
+
+  // :: (Object, Object, ?Object<Plugin>) → {state: EditorState, warnings: [{path: string, reason: string}]}
+  // Lenient variant of [`fromJSON`](#state.EditorState^fromJSON),
+  // which repairs problems in the JSON where it can, rather than
+  // raising an error. Invalid selections are replaced by a selection
+  // [near](#state.Selection^near) the position they pointed at,
+  // stored marks that can't be deserialized (or that go with a
+  // non-cursor selection) are dropped (leaving the stored marks null
+  // when none of them could be restored), and plugin fields whose
+  // `fromJSON` method raises an error are initialized with their
+  // [`init`](#state.StateField.init) method instead. Returns the
+  // state along with an array of warnings that describe each repair,
+  // giving the path of the problematic part of the JSON and the
+  // reason why it was rejected. A document that can't be
+  // deserialized still raises an error.
+  //
+  // @cn [`fromJSON`](#state.EditorState^fromJSON) 的宽松版本，它会尽可能修复 JSON 中的问题而不是抛出错误。
+  // 不合法的选区会被替换为其原本指向位置 [附近](#state.Selection^near) 的选区，无法被反序列化的 stored marks（或者与非光标选区一起出现的 stored marks）会被丢弃（如果一个 mark 都无法恢复，则 stored marks 为 null），
+  // `fromJSON` 方法抛出错误的插件字段会改用其 [`init`](#state.StateField.init) 方法来初始化。
+  // 返回 state 以及一个描述了每一处修复的警告数组，警告中给出了 JSON 中有问题的部分的路径以及它被拒绝的原因。
+  // 无法被反序列化的文档依然会抛出错误。
+  static fromJSONLenient(config, json, pluginFields) {
+    let warnings = []
+    let state = stateFromJSON(config, json, pluginFields, warnings)
+    return {state, warnings}
   }
 
   // Kludge to allow the view to track mappings between different
@@ -340,7 +820,8 @@ export class EditorState {
   //
   // FIXME this is no longer needed as of prosemirror-view 1.9.0,
   // though due to backwards-compat we should probably keep it around
-  // for a while (if only as a no-op)
+  // for a while (if only as a no-op). Code that needs to observe
+  // state updates without a view should use EditorStore.subscribe.
   static addApplyListener(f) {
     applyListeners.push(f)
   }
@@ -351,3 +832,279 @@ export class EditorState {
 }
 
 const applyListeners = []
+
+// : (Object, Transaction, EditorState, EditorState) → bool
+// Check whether a transaction touches any of the things listed in a
+// state field's `updateOn` property. `newState` must already have
+// its built-in fields updated.
+function fieldAffected(updateOn, tr, oldState, newState) {
+  if (updateOn.doc && tr.docChanged) return true
+  if (updateOn.selection && newState.selection != oldState.selection) return true
+  if (updateOn.storedMarks && newState.storedMarks != oldState.storedMarks) return true
+  let meta = updateOn.meta
+  if (meta) for (let i = 0; i < meta.length; i++)
+    if (tr.getMeta(meta[i]) !== undefined) return true
+  return false
+}
+
+// : (Configuration, Plugin, string, Transaction, Error, ApplyRun) → bool
+// Pass an error raised by a plugin hook to the onPluginError option,
+// if any. Returns false when the error should be rethrown.
+function handlePluginError(config, plugin, hook, tr, error, run) {
+  if (!config.onPluginError) return false
+  let policy = config.onPluginError(error, {plugin, key: plugin.key, hook, transaction: tr})
+  if (policy == "rethrow") return false
+  if (policy == "disable") (run.failed || (run.failed = Object.create(null)))[plugin.key] = true
+  return true
+}
+
+// : (EditorState, Object) → EditorState
+// Create a copy of a state in which the plugins that failed during an
+// `applyTransaction` call are disabled.
+function recordFailures(state, failed) {
+  let copy = new EditorState(state.config), fields = state.config.fields
+  for (let i = 0; i < fields.length; i++) copy[fields[i].name] = state[fields[i].name]
+  let disabled = Object.create(null)
+  for (let key in state.disabledPlugins) disabled[key] = state.disabledPlugins[key]
+  for (let key in failed) disabled[key] = "failed"
+  copy.disabledPlugins = disabled
+  return copy
+}
+
+// : (?Object, Configuration, Configuration) → ?Object
+// Plugins that failed are enabled again when a reconfiguration
+// replaces them with a different instance.
+function dropReplacedFailures(disabled, oldConfig, newConfig) {
+  let result = null
+  for (let key in disabled)
+    if (disabled[key] != "failed" || oldConfig.pluginsByKey[key] == newConfig.pluginsByKey[key])
+      (result || (result = Object.create(null)))[key] = disabled[key]
+  return result
+}
+
+const now = typeof performance != "undefined" && performance.now ? () => performance.now() : () => Date.now()
+
+// Bookkeeping for a single `applyTransaction` call: the timings of
+// plugin hooks (when profiling), and the plugins that were disabled
+// by the onPluginError option during the call.
+class ApplyRun {
+  constructor(timings) {
+    this.timings = timings
+    this.failed = null
+  }
+}
+
+// Accumulates the time spent in the hooks of each plugin during an
+// `applyTransaction` call, when profiling is enabled.
+class Timings {
+  constructor() {
+    this.plugins = Object.create(null)
+  }
+
+  add(key, hook, time) {
+    let entry = this.plugins[key] ||
+        (this.plugins[key] = {apply: 0, filterTransaction: 0, transformTransaction: 0, appendTransaction: 0})
+    entry[hook] += time
+  }
+}
+
+// JSON properties used by the built-in fields, which plugins can't
+// claim.
+const reservedJSONFields = ["doc", "selection", "storedMarks", "version"]
+
+// : (Configuration) → Object<Plugin>
+// The plugin fields that are serialized when no explicit
+// `pluginFields` object is given.
+function defaultPluginFields(config) {
+  let fields = Object.create(null)
+  config.plugins.forEach(plugin => {
+    let state = plugin.spec.state
+    if (!state) return
+    let name = pluginJSONName(plugin)
+    if (name == null) return
+    if (reservedJSONFields.indexOf(name) > -1)
+      throw new RangeError("Plugin " + plugin.key + " uses the reserved JSON field name " + name)
+    if (fields[name]) throw new RangeError("Multiple plugins use the JSON field name " + name)
+    fields[name] = plugin
+  })
+  return fields
+}
+
+// : (Plugin) → ?string
+// The name under which a plugin's state is serialized by default, if
+// any.
+function pluginJSONName(plugin) {
+  let state = plugin.spec.state
+  return state.jsonName || (plugin.spec.key && plugin.spec.key.stable ? plugin.key : null)
+}
+
+// : (Object, Object<Plugin>) → ?Object
+// Collect the properties in a state's JSON that don't belong to the
+// built-in fields or any of the given plugins.
+function collectUnknownFields(json, pluginFields) {
+  let result = null
+  for (let prop in json) {
+    if (reservedJSONFields.indexOf(prop) > -1 || prop in pluginFields) continue
+    if (!result) result = {}
+    result[prop] = json[prop]
+  }
+  return result
+}
+
+// : (Object, Object, ?Object<Plugin>, ?[Object]) → EditorState
+// Deserialize a state. When `warnings` is given, problems that can
+// be repaired are reported there rather than raising an error.
+function stateFromJSON(config, json, pluginFields, warnings) {
+  if (!json) throw new RangeError("Invalid input for EditorState.fromJSON")
+  if (!config.schema) throw new RangeError("Required config field 'schema' missing")
+  json = migrateJSON(config, json)
+  let $config = new Configuration(config.schema, config.plugins, config)
+  let instance = new EditorState($config)
+  let keepUnknown = !pluginFields
+  if (!pluginFields) pluginFields = defaultPluginFields($config)
+  $config.fields.forEach(field => {
+    if (field.name == "doc") {
+      instance.doc = Node.fromJSON(config.schema, json.doc)
+    } else if (field.name == "selection") {
+      instance.selection = warnings ? selectionFromJSONLenient(instance.doc, json.selection, warnings)
+        : Selection.fromJSON(instance.doc, json.selection)
+    } else if (field.name == "storedMarks") {
+      if (json.storedMarks) instance.storedMarks = warnings ? marksFromJSONLenient(instance, json.storedMarks, warnings)
+        : json.storedMarks.map(config.schema.markFromJSON)
+    } else if (field.name == "unknownJSONFields") {
+      instance.unknownJSONFields = keepUnknown ? collectUnknownFields(json, pluginFields) : null
+    } else {
+      for (let prop in pluginFields) {
+        let plugin = pluginFields[prop], state = plugin.spec.state
+        if (plugin.key == field.name && state && state.fromJSON &&
+            Object.prototype.hasOwnProperty.call(json, prop)) {
+          // This field belongs to a plugin mapped to a JSON field, read it from there.
+          try {
+            instance[field.name] = state.fromJSON.call(plugin, config, json[prop], instance)
+            return
+          } catch (e) {
+            if (!warnings) throw e
+            warnings.push({path: prop, reason: e.message})
+          }
+        }
+      }
+      instance[field.name] = field.init(config, instance)
+    }
+  })
+  return instance
+}
+
+function selectionFromJSONLenient(doc, json, warnings) {
+  let selection
+  try {
+    selection = Selection.fromJSON(doc, json)
+  } catch (e) {
+    warnings.push({path: "selection", reason: e.message})
+    let head = json && typeof json.head == "number" ? json.head : json && typeof json.anchor == "number" ? json.anchor : 0
+    return Selection.near(doc.resolve(Math.max(0, Math.min(doc.content.size, head))))
+  }
+  if (selection instanceof TextSelection &&
+      (!selection.$anchor.parent.inlineContent || !selection.$head.parent.inlineContent)) {
+    warnings.push({path: "selection", reason: "Text selection endpoint outside of a textblock"})
+    return TextSelection.between(selection.$anchor, selection.$head)
+  }
+  return selection
+}
+
+function marksFromJSONLenient(state, json, warnings) {
+  if (!state.selection.$cursor) {
+    warnings.push({path: "storedMarks", reason: "Stored marks set for a non-cursor selection"})
+    return null
+  }
+  let marks = []
+  json.forEach((markJSON, i) => {
+    try { marks.push(state.schema.markFromJSON(markJSON)) }
+    catch (e) { warnings.push({path: "storedMarks[" + i + "]", reason: e.message}) }
+  })
+  // An explicitly empty set is kept, but when every mark was dropped
+  // there are no stored marks left to speak of
+  return marks.length || !json.length ? marks : null
+}
+
+// : (Object, Object) → Object
+// Upgrade state JSON to the configured version.
+function migrateJSON(config, json) {
+  let target = config.jsonVersion
+  if (target == null) return json
+  let version = json.version || 0
+  if (version > target)
+    throw new RangeError("State JSON version " + version + " is newer than the supported version " + target)
+  for (; version < target; version++) {
+    let migrate = config.migrations && config.migrations[version]
+    if (!migrate) throw new RangeError("No migration defined for state JSON version " + version)
+    json = migrate(json)
+  }
+  return json
+}
+
+// : (EditorState, FieldDesc, ?Transaction)
+// Verify that a freshly initialized or updated field is consistent
+// with the rest of the state. Used in debug mode.
+function checkField(state, field, tr) {
+  let value = state[field.name], problem = null
+  if (field.name == "doc") {
+    if (value.type.schema != state.schema) problem = "Document does not use the state's schema"
+    else try { value.check() } catch (e) { problem = e.message }
+  } else if (field.name == "selection") {
+    let doc = state.doc
+    if (value.$anchor.doc != doc || value.$head.doc != doc ||
+        value.ranges.some(r => r.$from.doc != doc || r.$to.doc != doc))
+      problem = "Selection does not point into the current document"
+  } else if (field.name == "storedMarks") {
+    if (value && !state.selection.$cursor) problem = "Stored marks set for a non-cursor selection"
+  } else if (value === undefined) {
+    problem = "State field " + field.name + " was " + (tr ? "updated" : "initialized") + " to undefined"
+  }
+  if (problem) {
+    let err = new RangeError("Invalid state: " + problem)
+    err.transaction = tr
+    err.pluginKey = state.config.pluginsByKey[field.name] ? field.name : null
+    throw err
+  }
+}
+
+// Verify the metadata that a transaction holds for the keys of the
+// state's plugins against their validators.
+function checkMeta(config, tr) {
+  for (let i = 0; i < config.plugins.length; i++) {
+    let key = config.plugins[i].spec.key, value
+    if (!key || !key.validateMeta || (value = tr.getMeta(key)) === undefined) continue
+    if (!key.validateMeta(value)) {
+      let err = new RangeError("Invalid metadata for plugin " + key.key)
+      err.transaction = tr
+      err.pluginKey = key.key
+      throw err
+    }
+  }
+}
+
+// : (number, [Transaction], [?Plugin], number) → Object
+// Describe an `appendTransaction` loop that didn't settle, naming the
+// plugins that appended transactions in the last round and
+// summarizing the steps those plugins produced overall.
+function appendLoopInfo(rounds, trs, appendedBy, roundStart) {
+  let plugins = []
+  for (let i = roundStart; i < trs.length; i++) {
+    let key = appendedBy[i].key
+    if (plugins.some(p => p.key == key)) continue
+    let transactions = 0, steps = Object.create(null)
+    for (let j = 1; j < trs.length; j++) if (appendedBy[j].key == key) {
+      transactions++
+      trs[j].steps.forEach(step => {
+        let type = step.toJSON().stepType
+        steps[type] = (steps[type] || 0) + 1
+      })
+    }
+    plugins.push({key, transactions, steps})
+  }
+  let message = "Plugins kept appending transactions after " + rounds + " rounds: " + plugins.map(p => {
+    let steps = Object.keys(p.steps).map(type => p.steps[type] + " " + type)
+    return p.key + " (" + p.transactions + " transactions" + (steps.length ? ", steps: " + steps.join(", ") : "") + ")"
+  }).join("; ")
+  return {message, rounds, plugins, transactions: trs}
+}
@@ -0,0 +1,156 @@
+// ::- A minimal container for an editor state that can be used
+// without an [editor view](#view.EditorView), for example on a
+// server, in a worker, or in tests. It holds the current state,
+// applies dispatched transactions to it, and notifies subscribers
+// of the resulting updates.
+//
+// @cn 一个最小化的编辑器 state 容器，可以在没有 [编辑器视图](#view.EditorView) 的情况下使用，比如在服务端、worker 或者测试中。
+// 它持有当前的 state，将 dispatch 的 transactions 应用到 state 上，并将产生的更新通知给订阅者。
+//
+// Plugins can define a [`storeView`](#state.PluginSpec.storeView) to
+// run side effects when attached to a store, much like their
+// [`view`](#state.PluginSpec.view) does for an editor view.
+//
+// @cn 插件可以定义一个 [`storeView`](#state.PluginSpec.storeView)，在附加到 store 上的时候执行副作用，就像它们的 [`view`](#state.PluginSpec.view) 对编辑器视图所做的那样。
+export class EditorStore {
+  // :: (EditorState)
+  // Create a store holding the given state.
+  //
+  // @cn 创建一个持有给定 state 的 store。
+  constructor(state) {
+    // :: EditorState
+    // The current state.
+    //
+    // @cn 当前的 state。
+    this.state = state
+    this.listeners = []
+    this.queue = []
+    this.dispatching = false
+    this.pluginViews = []
+    this.createPluginViews()
+  }
+
+  // :: (Transaction)
+  // Apply a transaction to the current state, through
+  // [`applyTransaction`](#state.EditorState.applyTransaction), and
+  // notify the plugin views and subscribers. Transactions dispatched
+  // while another one is being handled (for example from a
+  // subscriber) are queued and applied afterwards. When the document
+  // changed in the meantime, they are
+  // [rebased](#state.Transaction.rebase) onto the current state
+  // first. When handling a transaction raises an error (for example
+  // in a subscriber), the rest of the queue is still processed, after
+  // which the first error is rethrown.
+  //
+  // @cn 通过 [`applyTransaction`](#state.EditorState.applyTransaction) 将一个 transaction 应用到当前的 state，然后通知插件视图和订阅者。
+  // 在处理另一个 transaction 的时候（比如在订阅者中）dispatch 的 transactions 会被放入队列，并在之后应用。
+  // 如果文档在此期间发生了变化，它们会先被 [变基](#state.Transaction.rebase) 到当前的 state 上。
+  // 如果处理某个 transaction 的时候抛出了错误（比如在订阅者中），队列中剩下的 transactions 依然会被处理，之后再重新抛出第一个错误。
+  dispatch(tr) {
+    this.queue.push(tr)
+    if (this.dispatching) return
+    this.dispatching = true
+    let applied = [], error = null
+    while (this.queue.length) {
+      try {
+        let next = this.queue.shift(), oldState = this.state, lost = []
+        if (!next.before.eq(oldState.doc)) {
+          let start = findStart(applied, next.before)
+          if (start < 0) throw new RangeError("Dispatched transaction does not belong to this store's state")
+          let rebased = next.rebase(oldState, applied.slice(start))
+          next = rebased.transaction
+          lost = rebased.lost
+        }
+        let {state, transactions} = oldState.applyTransaction(next)
+        for (let i = 0; i < transactions.length; i++) applied.push(transactions[i])
+        this.update(oldState, state, transactions, lost)
+      } catch (e) {
+        if (!error) error = e
+      }
+    }
+    this.dispatching = false
+    if (error) throw error
+  }
+
+  // :: (EditorState)
+  // Replace the store's state with an unrelated state, for example
+  // one created with
+  // [`reconfigure`](#state.EditorState.reconfigure). Subscribers are
+  // notified with an empty array of transactions.
+  //
+  // @cn 用一个不相关的 state 来替换 store 的 state，比如用 [`reconfigure`](#state.EditorState.reconfigure) 创建的 state。
+  // 订阅者收到的通知中 transactions 是一个空数组。
+  updateState(state) {
+    this.update(this.state, state, [], [])
+  }
+
+  // :: ((update: {oldState: EditorState, newState: EditorState, transactions: [Transaction], changedFields: [string], lost: [number]})) → ()
+  // Register a function to be called every time the store's state
+  // changes. Returns a function that removes the listener again.
+  // `changedFields` lists the [fields](#state.EditorState.changedFields)
+  // that changed, which can be used to skip work when the parts of
+  // the state that a listener cares about stayed the same. When a
+  // queued transaction had to be [rebased](#state.Transaction.rebase),
+  // `lost` holds the indices of its steps that no longer applied and
+  // were dropped. It is empty otherwise.
+  //
+  // @cn 注册一个函数，每次 store 的 state 变化的时候调用它。返回一个用来移除该监听函数的函数。
+  // `changedFields` 列出了变化了的 [字段](#state.EditorState.changedFields)，当监听函数所关心的那部分 state 没有变化的时候，可以用它来跳过不必要的工作。
+  // 如果一个排队的 transaction 需要被 [变基](#state.Transaction.rebase)，`lost` 中保存了它的 steps 中不再能被应用而被丢弃的那些 step 的索引。否则它是一个空数组。
+  subscribe(listener) {
+    this.listeners.push(listener)
+    return () => {
+      let found = this.listeners.indexOf(listener)
+      if (found > -1) this.listeners.splice(found, 1)
+    }
+  }
+
+  // :: ()
+  // Destroy the store's plugin views and drop its subscribers.
+  //
+  // @cn 销毁 store 的插件视图并移除它的订阅者。
+  destroy() {
+    this.destroyPluginViews()
+    this.listeners.length = 0
+  }
+
+  update(oldState, newState, transactions, lost) {
+    this.state = newState
+    if (oldState.plugins != newState.plugins) {
+      this.destroyPluginViews()
+      this.createPluginViews()
+    } else {
+      for (let i = 0; i < this.pluginViews.length; i++) {
+        let pluginView = this.pluginViews[i]
+        if (pluginView.update) pluginView.update(this, oldState)
+      }
+    }
+    let update = {oldState, newState, transactions, changedFields: newState.changedFields(oldState), lost}
+    let listeners = this.listeners.slice()
+    for (let i = 0; i < listeners.length; i++) listeners[i](update)
+  }
+
+  createPluginViews() {
+    let plugins = this.state.plugins
+    for (let i = 0; i < plugins.length; i++) {
+      let plugin = plugins[i]
+      if (plugin.spec.storeView) this.pluginViews.push(plugin.spec.storeView.call(plugin, this))
+    }
+  }
+
+  destroyPluginViews() {
+    let pluginView
+    while (pluginView = this.pluginViews.pop()) if (pluginView.destroy) pluginView.destroy()
+  }
+}
+
+// Find the index of the transaction in `applied` that starts from
+// the given document, or the length of the array when it is the
+// document produced by the last one.
+function findStart(applied, doc) {
+  for (let i = applied.length - 1; i >= 0; i--) {
+    if (applied[i].doc == doc) return i + 1
+    if (applied[i].before == doc) return i
+  }
+  return -1
+}
@@ -0,0 +1,249 @@
+import {TextSelection} from "./selection"
+
+// ::- Maps between positions in a document and offsets in its plain
+// text, for use with services that work on text, such as search or
+// spell checking. The text is the same as that produced by
+// [`Node.textBetween`](#model.Node.textBetween) for the whole
+// document with the same separator and leaf text options: the text
+// of the document's textblocks (and block leaf nodes that produce
+// text), separated by the block separator.
+//
+// @cn 在文档中的位置与其纯文本中的偏移量之间进行映射，用于搜索或者拼写检查之类基于文本工作的服务。
+// 这个文本与使用相同的分隔符和叶节点文本选项对整个文档调用 [`Node.textBetween`](#model.Node.textBetween) 所产生的文本相同：
+// 即文档中的文本块（以及会产生文本的块级叶节点）的文本，用块分隔符分隔开。
+//
+// An index is immutable. Use [`apply`](#state.TextIndex.apply) to
+// get an index for the document produced by a transaction, which
+// only re-reads the parts of the document that the transaction
+// touched.
+//
+// @cn 索引是不可变的。使用 [`apply`](#state.TextIndex.apply) 来获取一个 transaction 产生的文档的索引，该方法只会重新读取被 transaction 修改到的那部分文档。
+export class TextIndex {
+  constructor(doc, config, pieces) {
+    // :: Node
+    // The indexed document.
+    //
+    // @cn 被索引的文档。
+    this.doc = doc
+    this.config = config
+    // The document's text, as a sequence of pieces, each of which
+    // has a document position (`at`), a text offset (`start`), and
+    // `text`. Pieces for text and leaf nodes have the node's `size`,
+    // and `leaf` set for leaf nodes. `block` pieces hold the
+    // separator before a block (empty for the first block), with
+    // `open` being the distance from `at` to the block's content.
+    this.pieces = pieces
+    // :: string
+    // The document's text.
+    //
+    // @cn 文档的文本。
+    this.text = pieces.map(piece => piece.text).join("")
+  }
+
+  // :: (number, ?number) → number
+  // Find the document position for a text offset. Offsets inside the
+  // text of a leaf node or a block separator are moved to the
+  // position after it when `assoc` is positive (the default), and
+  // before it otherwise. Offsets between the separators around an
+  // empty textblock map into that textblock.
+  //
+  // @cn 查找文本偏移量对应的文档位置。位于叶节点的文本或者块分隔符内部的偏移量，在 `assoc` 为正（默认）的时候会被移动到其后面的位置，否则会被移动到其前面的位置。
+  // 位于空文本块两侧的分隔符之间的偏移量会被映射到该文本块中。
+  textToPos(offset, assoc = 1) {
+    let pieces = this.pieces
+    offset = Math.max(0, Math.min(this.text.length, offset))
+    let index = pieceAt(pieces, offset, assoc)
+    if (index < 0) index = pieceAt(pieces, offset, -assoc)
+    if (index < 0) {
+      let first = pieces[0]
+      return !first ? 0 : first.block ? first.at + first.open : first.at
+    }
+    let piece = pieces[index], off = offset - piece.start, len = piece.text.length
+    if (piece.block) {
+      if (off == len || (off > 0 && assoc > 0)) return piece.at + piece.open
+      // Before the separator. When the previous piece is the
+      // separator of an empty textblock, the offset is in that block.
+      let before = pieces[index - 1]
+      if (!before) return piece.at
+      return before.block ? before.at + before.open : before.at + before.size
+    }
+    if (!piece.leaf) return piece.at + off
+    return off == 0 || (off < len && assoc < 0) ? piece.at : piece.at + piece.size
+  }
+
+  // :: (number, ?number) → number
+  // Find the text offset for a document position. Positions inside
+  // leaf nodes, or in front of a block that is preceded by a
+  // separator, are moved to the offset after the leaf's text or the
+  // separator when `assoc` is positive (the default), and before it
+  // otherwise.
+  //
+  // @cn 查找文档位置对应的文本偏移量。位于叶节点内部，或者位于前面有分隔符的块之前的位置，
+  // 在 `assoc` 为正（默认）的时候会被移动到叶节点的文本或者分隔符之后的偏移量，否则会被移动到其之前的偏移量。
+  posToText(pos, assoc = 1) {
+    let pieces = this.pieces, lo = 0, hi = pieces.length
+    while (lo < hi) {
+      let mid = (lo + hi) >> 1
+      if (pieces[mid].at <= pos) lo = mid + 1
+      else hi = mid
+    }
+    let piece = pieces[lo - 1]
+    if (!piece) return 0
+    let end = piece.start + piece.text.length
+    if (piece.block) return pos >= piece.at + piece.open || assoc > 0 ? end : piece.start
+    if (pos >= piece.at + piece.size) return end
+    if (!piece.leaf) return piece.start + (pos - piece.at)
+    return pos == piece.at || assoc < 0 ? piece.start : end
+  }
+
+  // :: (number, ?number) → Selection
+  // Create a text selection from the given text offsets. `to`
+  // defaults to `from`. When the offsets don't map to positions in
+  // textblocks, a selection near them is returned (see
+  // [`TextSelection.between`](#state.TextSelection^between)).
+  //
+  // @cn 用给定的文本偏移量创建一个文本选区。`to` 默认等于 `from`。如果偏移量没有映射到文本块中的位置，
+  // 则会返回它们附近的选区（参见 [`TextSelection.between`](#state.TextSelection^between)）。
+  textSelection(from, to = from) {
+    let anchor = this.textToPos(from, from <= to ? 1 : -1)
+    let head = to == from ? anchor : this.textToPos(to, from <= to ? -1 : 1)
+    return TextSelection.between(this.doc.resolve(anchor), this.doc.resolve(head))
+  }
+
+  // :: (Transaction) → TextIndex
+  // Create an index for the document produced by the given
+  // transaction, which should start from this index's document. Only
+  // the top-level nodes that the transaction's steps touched are
+  // indexed again.
+  //
+  // @cn 为给定 transaction 产生的文档创建一个索引，该 transaction 应该从当前索引的文档开始。只有被 transaction 的 steps 修改到的顶层节点会被重新索引。
+  apply(tr) {
+    if (!tr.docChanged) return this
+    if (!tr.before.eq(this.doc)) throw new RangeError("Applying a mismatched transaction")
+    let doc = tr.doc, range = changedRange(tr)
+    if (!range) return TextIndex.create(doc, this.config)
+    let $from = doc.resolve(range.from), $to = doc.resolve(range.to)
+    let start = $from.depth ? $from.before(1) : range.from, end = $to.depth ? $to.after(1) : range.to
+    let delta = doc.content.size - this.doc.content.size, old = this.pieces
+    let pieces = [], i = 0, first = true
+    for (; i < old.length && old[i].at < start; i++) {
+      pieces.push(old[i])
+      if (old[i].block) first = false
+    }
+    let last = pieces[pieces.length - 1]
+    let state = indexNodes(doc, start, end, this.config, pieces, last ? last.start + last.text.length : 0, first)
+    let offset = state.offset
+    first = state.first
+    while (i < old.length && old[i].at < end - delta) i++
+    for (; i < old.length; i++) {
+      let piece = old[i], text = piece.text
+      // The first block after the changed range may have become, or
+      // stopped being, the first block in the document.
+      if (piece.block) {
+        text = first ? "" : this.config.blockSeparator
+        first = false
+      }
+      pieces.push({at: piece.at + delta, start: offset, size: piece.size, text,
+                   leaf: piece.leaf, block: piece.block, open: piece.open})
+      offset += text.length
+    }
+    return new TextIndex(doc, this.config, pieces)
+  }
+
+  // :: (Node, ?Object) → TextIndex
+  // Create an index for the given document.
+  //
+  // @cn 为给定的文档创建一个索引。
+  //
+  //   options::- Optional configuration.
+  //
+  //   @cn 可选的配置项。
+  //
+  //     blockSeparator:: ?string
+  //     The text put between blocks. Defaults to `"\n"`. Pass an
+  //     empty string to join blocks without a separator.
+  //
+  //     @cn 放在块之间的文本。默认是 `"\n"`。传入空字符串则块之间不加分隔符。
+  //
+  //     leafText:: ?union<string, (leafNode: Node) → string>
+  //     The text used for leaf nodes. Defaults to the result of the
+  //     node type's `leafText` spec function, or the empty string.
+  //
+  //     @cn 用于叶节点的文本。默认是节点类型的 `leafText` 配置函数的结果，或者空字符串。
+  static create(doc, options) {
+    let config = {
+      blockSeparator: options && options.blockSeparator != null ? options.blockSeparator : "\n",
+      leafText: options && options.leafText
+    }
+    let pieces = []
+    indexNodes(doc, 0, doc.content.size, config, pieces, 0, true)
+    return new TextIndex(doc, config, pieces)
+  }
+}
+
+// Add pieces for the nodes between `from` and `to` (which should be
+// top-level node boundaries) to `pieces`, starting at the given text
+// offset. `first` indicates whether no block has been seen yet.
+function indexNodes(doc, from, to, config, pieces, offset, first) {
+  doc.nodesBetween(from, to, (node, pos) => {
+    let text = node.isText ? node.text : !node.isLeaf ? "" : leafText(node, config.leafText)
+    if (node.isBlock && (node.isLeaf && text || node.isTextblock)) {
+      let separator = first ? "" : config.blockSeparator
+      pieces.push({at: pos, start: offset, size: 0, text: separator, leaf: false, block: true,
+                   open: node.isTextblock ? 1 : 0})
+      offset += separator.length
+      first = false
+    }
+    if (node.isLeaf) {
+      pieces.push({at: pos, start: offset, size: node.nodeSize, text, leaf: !node.isText, block: false, open: 0})
+      offset += text.length
+    }
+  })
+  return {offset, first}
+}
+
+function leafText(node, option) {
+  if (option) return typeof option == "function" ? option(node) : option
+  return node.type.spec.leafText ? node.type.spec.leafText(node) : ""
+}
+
+// Find the index of the non-empty piece that holds the character
+// after (`side` > 0) or before (`side` < 0) the given offset, or -1.
+function pieceAt(pieces, offset, side) {
+  let lo = 0, hi = pieces.length
+  while (lo < hi) {
+    let mid = (lo + hi) >> 1, end = pieces[mid].start + pieces[mid].text.length
+    if (side > 0 ? end <= offset : end < offset) lo = mid + 1
+    else hi = mid
+  }
+  let piece = pieces[lo]
+  return piece && piece.text.length && (side > 0 ? piece.start <= offset : piece.start < offset) ? lo : -1
+}
+
+// Find the range in a transaction's output document that its steps
+// touched, or null when that can't be determined.
+function changedRange(tr) {
+  let from = -1, to = -1
+  let add = (start, end) => {
+    if (from < 0) { from = start; to = end }
+    else { from = Math.min(from, start); to = Math.max(to, end) }
+  }
+  for (let i = 0; i < tr.steps.length; i++) {
+    let step = tr.steps[i], map = tr.mapping.maps[i], touched = false
+    if (from > -1) {
+      from = map.map(from, -1)
+      to = map.map(to, 1)
+    }
+    map.forEach((_from, _to, newFrom, newTo) => {
+      add(newFrom, newTo)
+      touched = true
+    })
+    if (touched) continue
+    // Steps that don't change positions, like mark and attribute
+    // steps, still change the nodes they apply to.
+    if (typeof step.from == "number" && typeof step.to == "number") add(step.from, step.to)
+    else if (typeof step.pos == "number") add(step.pos, step.pos + 1)
+    else return null
+  }
+  return from < 0 ? null : {from, to}
+}
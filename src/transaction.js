@@ -1,9 +1,12 @@
-import {Transform} from "prosemirror-transform"
+import {Transform, Mapping, Step} from "prosemirror-transform"
 import {Mark} from "prosemirror-model"
-import {Selection} from "./selection"
+import {Selection, MultiSelection} from "./selection"
 
 const UPDATED_SEL = 1, UPDATED_MARKS = 2, UPDATED_SCROLL = 4
 
+const metaSerializers = Object.create(null)
+const inheritedMeta = []
+
 // ::- An editor state transaction, which can be applied to a state to
 // create an updated state. Use
 // [`EditorState.tr`](#state.EditorState.tr) to create an instance.
@@ -33,6 +36,23 @@ const UPDATED_SEL = 1, UPDATED_MARKS = 2, UPDATED_SCROLL = 4
 //
 // @cn [编辑器的 view](#view.EditorView) 使用下面几个 metadata 属性：它会在 tr 上附加上 `"pointer"` 属性，值 `true` 表示由鼠标或者触摸点击触发的选区 transaction，
 // 以及一个 `"uiEvent"` 属性，值可能是 `"paste"`, `"cut"` 或者 `"drop"`。
+//
+// To describe why a transaction happened, it can be annotated with a
+// [user event](#state.Transaction.setUserEvent). These are
+// dot-separated names, going from general to specific, so that code
+// that is only interested in, say, input, can
+// [check](#state.Transaction.isUserEvent) for `"input"` and match
+// all of its subtypes. The standard names are `"input.type"`,
+// `"input.paste"`, `"input.drop"`, `"delete.backward"`,
+// `"delete.forward"`, `"delete.cut"`, `"select.pointer"`,
+// `"move.drop"`, `"undo"`, and `"redo"`. Code defining its own events
+// should extend this vocabulary (for example `"input.complete"`)
+// rather than invent unrelated names.
+//
+// @cn 为了描述一个 transaction 发生的原因，可以给它加上一个 [用户事件](#state.Transaction.setUserEvent) 注释。
+// 用户事件是用点分隔的名字，从一般到具体，因此只关心比如输入的代码可以 [检查](#state.Transaction.isUserEvent) `"input"`，以匹配它的所有子类型。
+// 标准的名字有 `"input.type"`、`"input.paste"`、`"input.drop"`、`"delete.backward"`、`"delete.forward"`、`"delete.cut"`、
+// `"select.pointer"`、`"move.drop"`、`"undo"` 和 `"redo"`。定义自己的事件的代码应该扩展这个词汇表（比如 `"input.complete"`），而不是发明不相关的名字。
 export class Transaction extends Transform {
   constructor(state) {
     super(state.doc)
@@ -55,6 +75,9 @@ export class Transaction extends Transform {
     this.updated = 0
     // Object used to store metadata properties for the transaction.
     this.meta = Object.create(null)
+    // Maps the keys of plugins enabled or disabled by this
+    // transaction to their new status.
+    this.pluginToggles = null
   }
 
   // :: Selection
@@ -161,11 +184,14 @@ export class Transaction extends Transform {
     return this
   }
 
-  // :: (Slice) → Transaction
-  // Replace the current selection with the given slice.
+  // :: (Slice, ?string) → Transaction
+  // Replace the current selection with the given slice. When
+  // `userEvent` is given, the transaction is
+  // [annotated](#state.Transaction.setUserEvent) with it.
   //
-  // @cn 用给定的 slice 替换当前选区。
-  replaceSelection(slice) {
+  // @cn 用给定的 slice 替换当前选区。如果给定了 `userEvent`，则 transaction 会被 [注释](#state.Transaction.setUserEvent) 为该用户事件。
+  replaceSelection(slice, userEvent) {
+    if (userEvent) this.setUserEvent(userEvent)
     this.selection.replace(this, slice)
     return this
   }
@@ -178,31 +204,43 @@ export class Transaction extends Transform {
   // @cn 用给定的 node 替换当前选区。如果 `inheritMarks` 是 true 并且 node 的内容是 inline 的话，插入的内容将会继承插入点位置的 marks。
   replaceSelectionWith(node, inheritMarks) {
     let selection = this.selection
+    // Multi-range selections determine the inherited marks per range
+    if (selection instanceof MultiSelection) {
+      selection.replaceWith(this, node, inheritMarks !== false)
+      return this
+    }
     if (inheritMarks !== false)
       node = node.mark(this.storedMarks || (selection.empty ? selection.$from.marks() : (selection.$from.marksAcross(selection.$to) || Mark.none)))
     selection.replaceWith(this, node)
     return this
   }
 
-  // :: () → Transaction
-  // Delete the selection.
+  // :: (?string) → Transaction
+  // Delete the selection, optionally
+  // [annotating](#state.Transaction.setUserEvent) the transaction
+  // with the given user event.
   //
-  // @cn 删除选区。
+  // @cn 删除选区，可以选择用给定的用户事件 [注释](#state.Transaction.setUserEvent) 该 transaction。
   //
   // @comment 选区被删除了，其内容也一起被删除。
-  deleteSelection() {
+  deleteSelection(userEvent) {
+    if (userEvent) this.setUserEvent(userEvent)
     this.selection.replace(this)
     return this
   }
 
-  // :: (string, from: ?number, to: ?number) → Transaction
+  // :: (string, from: ?number, to: ?number, userEvent: ?string) → Transaction
   // Replace the given range, or the selection if no range is given,
-  // with a text node containing the given string.
+  // with a text node containing the given string. When `userEvent`
+  // is given, the transaction is
+  // [annotated](#state.Transaction.setUserEvent) with it.
   //
   // @cn 用包含给定文本的文本节点替换给定的 range，如果没有给定 range 的话则替换选区。
+  // 如果给定了 `userEvent`，则 transaction 会被 [注释](#state.Transaction.setUserEvent) 为该用户事件。
   //
   // @comment range 就是用 from 和 to 表示的一个范围。
-  insertText(text, from, to = from) {
+  insertText(text, from, to = from, userEvent) {
+    if (userEvent) this.setUserEvent(userEvent)
     let schema = this.doc.type.schema
     if (from == null) {
       if (!text) return this.deleteSelection()
@@ -242,6 +280,30 @@ export class Transaction extends Transform {
     return this.meta[typeof key == "string" ? key : key.key]
   }
 
+  // :: (string) → Transaction
+  // Annotate this transaction with the user event that caused it,
+  // using the standard [vocabulary](#state.Transaction) where
+  // possible. Stored as the `"userEvent"` metadata property.
+  //
+  // @cn 用导致该 transaction 的用户事件注释它，尽可能使用标准的 [词汇](#state.Transaction)。会被储存为 `"userEvent"` metadata 属性。
+  setUserEvent(event) {
+    return this.setMeta("userEvent", event)
+  }
+
+  // :: (string) → bool
+  // Check whether this transaction was annotated with the given user
+  // event, or one of its subtypes. For example, a transaction
+  // annotated with `"input.paste"` matches both `"input"` and
+  // `"input.paste"`, but not `"in"` or `"input.type"`.
+  //
+  // @cn 检查该 transaction 是否被注释为给定的用户事件或者其子类型。比如，一个被注释为 `"input.paste"` 的 transaction
+  // 会匹配 `"input"` 和 `"input.paste"`，但是不会匹配 `"in"` 或者 `"input.type"`。
+  isUserEvent(event) {
+    let value = this.getMeta("userEvent")
+    return typeof value == "string" &&
+      (value == event || value.length > event.length && value.slice(0, event.length) == event && value[event.length] == ".")
+  }
+
   // :: bool
   // Returns true if this transaction doesn't contain any metadata,
   // and can thus safely be extended.
@@ -269,4 +331,203 @@ export class Transaction extends Transform {
   get scrolledIntoView() {
     return (this.updated & UPDATED_SCROLL) > 0
   }
+
+  // :: (union<Plugin, PluginKey>, bool) → Transaction
+  // Enable or disable a plugin in the state produced by this
+  // transaction, without reconfiguring the state. A disabled plugin
+  // stays part of the state's configuration, and keeps its
+  // [state field](#state.PluginSpec.state), but its transaction
+  // hooks aren't called, its field isn't updated (unless it sets
+  // [`updateWhenDisabled`](#state.StateField.updateWhenDisabled)),
+  // and its [prop functions](#state.PluginSpec.props) don't run.
+  // Enabling it again picks up where it left off.
+  //
+  // @cn 在该 transaction 产生的 state 中启用或者禁用一个插件，而无需重新配置 state。被禁用的插件仍然是 state 配置的一部分，并保留它的 [state 字段](#state.PluginSpec.state)，
+  // 但是它的 transaction 钩子不会被调用，它的字段不会被更新（除非它设置了 [`updateWhenDisabled`](#state.StateField.updateWhenDisabled)），
+  // 并且它的 [props 函数](#state.PluginSpec.props) 不会执行。再次启用它的时候会从之前的状态继续。
+  setPluginEnabled(plugin, enabled) {
+    if (!this.pluginToggles) this.pluginToggles = Object.create(null)
+    this.pluginToggles[plugin.key] = !!enabled
+    return this
+  }
+
+  // : () → Transaction
+  // Create a copy of this transaction, which can be changed without
+  // affecting the original.
+  copy() {
+    let tr = new Transaction(this)
+    tr.steps = this.steps.slice()
+    tr.docs = this.docs.slice()
+    tr.mapping = new Mapping(this.mapping.maps.slice(), this.mapping.mirror && this.mapping.mirror.slice())
+    tr.time = this.time
+    tr.curSelection = this.curSelection
+    tr.curSelectionFor = this.curSelectionFor
+    tr.updated = this.updated
+    for (let prop in this.meta) tr.meta[prop] = this.meta[prop]
+    if (this.pluginToggles) {
+      tr.pluginToggles = Object.create(null)
+      for (let key in this.pluginToggles) tr.pluginToggles[key] = this.pluginToggles[key]
+    }
+    return tr
+  }
+
+  // :: (EditorState, union<Mapping, [Transaction]>) → {transaction: Transaction, lost: [number]}
+  // Rebase this transaction, which was created for an older state,
+  // onto `state`. `changes` describes the changes that were made
+  // between the document this transaction started from and the
+  // state's document, either as a [mapping](#transform.Mapping) or
+  // as the array of transactions that were applied in between. The
+  // steps are mapped over those changes, an explicitly set selection
+  // and stored marks, the timestamp, the scroll flag, the metadata,
+  // and [plugin toggles](#state.Transaction.setPluginEnabled) are
+  // carried over. Steps that can no longer be applied
+  // are dropped, and their indices in this transaction's `steps`
+  // array are returned as `lost`.
+  //
+  // @cn 将当前这个为旧的 state 创建的 transaction 变基到 `state` 上。`changes` 描述了从当前 transaction 的起始文档到 state 的文档之间发生的修改，
+  // 可以是一个 [mapping](#transform.Mapping)，也可以是在此期间应用过的 transactions 数组。
+  // steps 会被 map 过这些修改，显式设置的选区和 stored marks、时间戳、滚动标记、metadata 信息以及 [插件的启用状态](#state.Transaction.setPluginEnabled) 都会被保留下来。
+  // 无法再被应用的 steps 会被丢弃，它们在当前 transaction 的 `steps` 数组中的索引会作为 `lost` 返回。
+  //
+  // @comment 比如异步的自动补全请求返回的时候，用户可能已经继续输入了，这时基于旧 state 创建的 transaction 就需要变基之后才能应用。
+  rebase(state, changes) {
+    if (Array.isArray(changes)) {
+      if (changes.length ? !changes[0].before.eq(this.before) || !changes[changes.length - 1].doc.eq(state.doc)
+          : !this.before.eq(state.doc))
+        throw new RangeError("Transactions passed to rebase must lead from this transaction's document to the state's document")
+      let mapping = new Mapping
+      changes.forEach(tr => mapping.appendMapping(tr.mapping))
+      changes = mapping
+    }
+    let tr = new Transaction(state), lost = [], steps = this.steps
+    // Map each step back over the steps before it, then over the new
+    // changes, then forward over the rebased steps, mirroring each
+    // successfully rebased step with its inverse.
+    let mapping = new Mapping
+    mapping.appendMappingInverted(this.mapping)
+    mapping.appendMapping(changes)
+    for (let i = 0; i < steps.length; i++) {
+      let mapped = steps[i].map(mapping.slice(steps.length - i))
+      if (mapped && !tr.maybeStep(mapped).failed) mapping.appendMap(mapped.getMap(), steps.length - i - 1)
+      else lost.push(i)
+    }
+    if (this.selectionSet)
+      tr.setSelection(this.curSelection.map(tr.doc, mapping.slice(steps.length - this.curSelectionFor)))
+    if (this.storedMarksSet) tr.setStoredMarks(this.storedMarks)
+    if (this.scrolledIntoView) tr.scrollIntoView()
+    tr.time = this.time
+    for (let key in this.meta) tr.meta[key] = this.meta[key]
+    for (let key in this.pluginToggles) tr.setPluginEnabled({key}, this.pluginToggles[key])
+    return {transaction: tr, lost}
+  }
+
+  // :: () → Object
+  // Serialize this transaction to JSON. This includes its steps, its
+  // timestamp, the selection and stored marks when they were
+  // explicitly set, whether it scrolls into view, the plugins it
+  // [enables or disables](#state.Transaction.setPluginEnabled), and
+  // those metadata properties that were
+  // [registered](#state.Transaction^jsonMeta) as serializable.
+  //
+  // @cn 将当前 transaction 序列化成 JSON。包括它的 steps、时间戳、显式设置过的选区和 stored marks、是否滚动到视图中、它 [启用或者禁用](#state.Transaction.setPluginEnabled) 的插件，
+  // 以及 [注册](#state.Transaction^jsonMeta) 为可序列化的 metadata 信息。
+  toJSON() {
+    let result = {steps: this.steps.map(s => s.toJSON()), time: this.time}
+    if (this.selectionSet) result.selection = this.selection.toJSON()
+    if (this.storedMarksSet) result.storedMarks = this.storedMarks && this.storedMarks.map(m => m.toJSON())
+    if (this.scrolledIntoView) result.scrollIntoView = true
+    for (let key in this.pluginToggles) {
+      if (!result.pluginToggles) result.pluginToggles = {}
+      result.pluginToggles[key] = this.pluginToggles[key]
+    }
+    for (let name in this.meta) {
+      let serializer = metaSerializers[name]
+      if (!serializer) continue
+      if (!result.meta) result.meta = {}
+      result.meta[name] = serializer.toJSON ? serializer.toJSON(this.meta[name]) : this.meta[name]
+    }
+    return result
+  }
+
+  // :: (EditorState, Object) → Transaction
+  // Deserialize a JSON representation of a transaction into a new
+  // transaction for the given state, which should have the document
+  // the transaction was originally created for.
+  //
+  // @cn 将一个 transaction 的 JSON 表示反序列化成给定 state 的一个新的 transaction，
+  // 给定 state 的文档应该与该 transaction 最初创建时的文档相同。
+  static fromJSON(state, json) {
+    if (!json || !Array.isArray(json.steps)) throw new RangeError("Invalid input for Transaction.fromJSON")
+    let schema = state.schema, tr = new Transaction(state)
+    json.steps.forEach(step => tr.step(Step.fromJSON(schema, step)))
+    if (json.selection) tr.setSelection(Selection.fromJSON(tr.doc, json.selection))
+    if (json.storedMarks !== undefined)
+      tr.setStoredMarks(json.storedMarks && json.storedMarks.map(m => schema.markFromJSON(m)))
+    if (json.scrollIntoView) tr.scrollIntoView()
+    if (json.time != null) tr.time = json.time
+    if (json.pluginToggles) for (let key in json.pluginToggles) tr.setPluginEnabled({key}, json.pluginToggles[key])
+    if (json.meta) for (let name in json.meta) {
+      let serializer = metaSerializers[name]
+      tr.meta[name] = serializer && serializer.fromJSON ? serializer.fromJSON(json.meta[name], schema) : json.meta[name]
+    }
+    return tr
+  }
+
+  // :: (union<string, Plugin, PluginKey>, ?Object)
+  // Register a metadata property as serializable, so that it is
+  // included in the output of
+  // [`toJSON`](#state.Transaction.toJSON). Metadata that isn't
+  // registered is left out. By default the value is stored as it is,
+  // which only works for JSON-compatible values. Otherwise, pass an
+  // object with `toJSON(value) → any` and `fromJSON(json, schema) →
+  // any` methods to convert it. The
+  // [`"userEvent"`](#state.Transaction.setUserEvent) property is
+  // registered by default.
+  //
+  // @cn 将一个 metadata 属性注册为可序列化的，以让它包含在 [`toJSON`](#state.Transaction.toJSON) 的输出中。
+  // 没有注册的 metadata 信息会被忽略。默认情况下会原样保存其值，这只对与 JSON 兼容的值有效。
+  // 否则，需要传入一个有 `toJSON(value) → any` 和 `fromJSON(json, schema) → any` 方法的对象来转换它。
+  // [`"userEvent"`](#state.Transaction.setUserEvent) 属性默认就是注册过的。
+  static jsonMeta(key, serializer) {
+    let name = typeof key == "string" ? key : key.key
+    if (name in metaSerializers) throw new RangeError("Duplicate registration of JSON meta property " + name)
+    metaSerializers[name] = serializer || {}
+  }
+
+  // :: (union<string, Plugin, PluginKey>)
+  // Mark a metadata property as inherited. When a plugin
+  // [appends](#state.PluginSpec.appendTransaction) a transaction in
+  // response to a transaction that has this property set, and the
+  // appended transaction doesn't set it itself, the value is copied
+  // over from the root transaction. Useful for properties that
+  // describe the whole group of transactions. `"addToHistory"`,
+  // `"uiEvent"`, and [`"userEvent"`](#state.Transaction.setUserEvent)
+  // are inherited by default.
+  //
+  // @cn 将一个 metadata 属性标记为可继承的。当一个插件响应一个设置了该属性的 transaction 而 [附加](#state.PluginSpec.appendTransaction) 了一个 transaction，
+  // 并且附加的 transaction 自己没有设置该属性的时候，该值会从根 transaction 复制过来。
+  // 对于描述整组 transactions 的属性很有用。`"addToHistory"`、`"uiEvent"` 和 [`"userEvent"`](#state.Transaction.setUserEvent) 默认就是可继承的。
+  static inheritMeta(key) {
+    let name = typeof key == "string" ? key : key.key
+    if (inheritedMeta.indexOf(name) < 0) inheritedMeta.push(name)
+  }
+
+  // Copy the inherited metadata properties that this transaction
+  // doesn't set from the given transaction.
+  inheritMetaFrom(tr) {
+    for (let i = 0; i < inheritedMeta.length; i++) {
+      let name = inheritedMeta[i]
+      if (name in tr.meta && !(name in this.meta)) this.meta[name] = tr.meta[name]
+    }
+  }
 }
+
+// User events are plain strings, and are serialized along with the
+// transaction.
+Transaction.jsonMeta("userEvent")
+
+// These describe the whole group of transactions produced by a root
+// transaction.
+Transaction.inheritMeta("addToHistory")
+Transaction.inheritMeta("uiEvent")
+Transaction.inheritMeta("userEvent")
@@ -0,0 +1,15 @@
+const {Transaction, PluginKey} = require("..")
+
+// Metadata registrations shared by the tests. The registries are
+// global, so these are done once, here, under names that won't
+// clash with real metadata properties.
+
+const markKey = new PluginKey("testMarkMeta")
+exports.markKey = markKey
+
+Transaction.jsonMeta("testJSON")
+Transaction.jsonMeta(markKey, {
+  toJSON: mark => mark.toJSON(),
+  fromJSON: (json, schema) => schema.markFromJSON(json)
+})
+Transaction.inheritMeta("testInherited")
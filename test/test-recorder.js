@@ -0,0 +1,77 @@
+const {EditorState, TransactionRecorder, Plugin, PluginKey, TextSelection} = require("..")
+const {schema, eq, doc, p} = require("prosemirror-test-builder")
+const ist = require("ist")
+
+function appender(name, text) {
+  return new Plugin({
+    key: new PluginKey(name),
+    appendTransaction(trs, _, state) {
+      if (trs.some(tr => tr.docChanged) && state.doc.textContent.slice(-1) == "x")
+        return state.tr.insertText(text, state.doc.content.size - 1)
+    }
+  })
+}
+
+const plugin = appender("appendY", "y")
+
+function record() {
+  let recorder = new TransactionRecorder
+  let state = recorder.record(EditorState.create({doc: doc(p("a")), plugins: [plugin]}))
+  state = state.apply(state.tr.insertText("b", 2))
+  state = state.apply(state.tr.insertText("x", 3))
+  state = state.apply(state.tr.setSelection(TextSelection.create(state.doc, 1)))
+  return {state, json: JSON.parse(JSON.stringify(recorder.toJSON()))}
+}
+
+describe("TransactionRecorder", () => {
+  it("records root and appended transactions", () => {
+    let {state, json} = record()
+    ist(state.doc, doc(p("abxy")), eq)
+    ist(json.transactions.length, 4)
+    ist(json.transactions.map(t => t.plugin).join(), ",," + plugin.key + ",")
+    ist(json.state.doc.content[0].content[0].text, "a")
+  })
+
+  it("replays a recording", () => {
+    let {state, json} = record()
+    let result = TransactionRecorder.replay({schema, plugins: [plugin]}, json)
+    ist(result.mismatch, null)
+    ist(result.state.doc, state.doc, eq)
+    ist(result.state.selection.eq(state.selection))
+  })
+
+  it("reports missing appended transactions", () => {
+    let {json} = record()
+    let {mismatch} = TransactionRecorder.replay({schema}, json)
+    ist(mismatch.index, 2)
+    ist(mismatch.field, "plugin")
+    ist(mismatch.expected, plugin.key)
+  })
+
+  it("reports diverging documents", () => {
+    let {json} = record()
+    let other = appender("appendZ", "z")
+    json.transactions[2].plugin = other.key
+    let {state, mismatch} = TransactionRecorder.replay({schema, plugins: [other]}, json)
+    ist(mismatch.index, 2)
+    ist(mismatch.field, "doc")
+    ist(state.doc, doc(p("abxz")), eq)
+    ist(schema.nodeFromJSON(mismatch.doc), doc(p("abxz")), eq)
+  })
+
+  it("records root transactions before they are transformed", () => {
+    let exclaim = new Plugin({
+      transformTransaction(tr) { return tr.docChanged ? tr.insertText("!", tr.doc.content.size - 1) : tr }
+    })
+    let recorder = new TransactionRecorder
+    let state = recorder.record(EditorState.create({doc: doc(p("a")), plugins: [exclaim]}))
+    state = state.apply(state.tr.insertText("b", 2))
+    state = state.apply(state.tr.insertText("c", 1))
+    ist(state.doc, doc(p("cab!!")), eq)
+    let json = JSON.parse(JSON.stringify(recorder.toJSON()))
+    ist(json.transactions[0].transaction.steps.length, 1)
+    let result = TransactionRecorder.replay({schema, plugins: [exclaim]}, json)
+    ist(result.mismatch, null)
+    ist(result.state.doc, state.doc, eq)
+  })
+})
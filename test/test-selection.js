@@ -1,6 +1,6 @@
-const {TextSelection} = require("..")
+const {EditorState, Selection, TextSelection, MultiSelection, BlockRangeSelection} = require("..")
 
-const {schema, eq, doc, blockquote, pre, p, li, ul, img, em, a, br, hr} = require("prosemirror-test-builder")
+const {schema, eq, doc, blockquote, pre, p, li, ul, img, em, strong, a, br, hr} = require("prosemirror-test-builder")
 const {TestState} = require("./state")
 const ist = require("ist")
 
@@ -206,3 +206,208 @@ describe("TextSelection.between", () => {
     ist(s.head, 1)
   })
 })
+
+describe("MultiSelection", () => {
+  let multi = (d, ranges, primary) => MultiSelection.create(d, ranges, primary)
+
+  it("merges overlapping ranges", () => {
+    let d = doc(p("foobar"), p("baz"))
+    let sel = multi(d, [{anchor: 5, head: 2}, {anchor: 4, head: 6}, {anchor: 10}, {anchor: 10}], 0)
+    ist(sel.parts.length, 2)
+    ist(sel.primary.anchor, 6)
+    ist(sel.primary.head, 2)
+    ist(sel.parts[1].head, 10)
+    ist(sel.ranges[0].$from.pos, 2)
+    ist(sel.from, 2)
+    ist(sel.to, 6)
+  })
+
+  it("merges ranges that overlap after mapping", () => {
+    let state = EditorState.create({doc: doc(p("foobar"))})
+    state = state.apply(state.tr.setSelection(multi(state.doc, [{anchor: 2}, {anchor: 5}, {anchor: 7}], 2)))
+    state = state.apply(state.tr.delete(1, 6))
+    ist(state.selection instanceof MultiSelection)
+    ist(state.selection.parts.length, 2)
+    ist(state.selection.primaryIndex, 1)
+    state = state.apply(state.tr.delete(1, 2))
+    ist(state.selection instanceof TextSelection)
+    ist(state.selection.head, 1)
+  })
+
+  it("compares and serializes", () => {
+    let d = doc(p("foobar"))
+    let sel = multi(d, [{anchor: 2, head: 3}, {anchor: 6}], 1)
+    ist(sel.eq(multi(d, [{anchor: 6}, {anchor: 2, head: 3}], 0)))
+    ist(!sel.eq(multi(d, [{anchor: 2, head: 3}, {anchor: 6}], 0)))
+    let json = sel.toJSON()
+    ist(JSON.stringify(json), JSON.stringify({type: "multi", ranges: [{anchor: 2, head: 3}, {anchor: 6, head: 6}], primary: 1}))
+    ist(Selection.fromJSON(d, json).eq(sel))
+    ist.throws(() => Selection.fromJSON(d, {type: "multi", ranges: [], primary: 0}))
+  })
+
+  it("can be bookmarked", () => {
+    let state = EditorState.create({doc: doc(p("foobar"))})
+    let sel = multi(state.doc, [{anchor: 2}, {anchor: 4, head: 6}], 0)
+    let tr = state.tr.insertText("xx", 1)
+    let resolved = sel.getBookmark().map(tr.mapping).resolve(tr.doc)
+    ist(resolved.eq(multi(tr.doc, [{anchor: 4}, {anchor: 6, head: 8}], 0)))
+  })
+
+  it("inserts text at every range", () => {
+    let state = EditorState.create({doc: doc(p("foo"), p("b", em("a"), "r"))})
+    state = state.apply(state.tr.setSelection(multi(state.doc, [{anchor: 2}, {anchor: 7, head: 8}], 0)))
+    state = state.apply(state.tr.insertText("x"))
+    ist(state.doc, doc(p("fxoo"), p("b", em("x"), "r")), eq)
+    ist(state.selection.parts.map(s => s.head).join(), "3,9")
+    state = state.apply(state.tr.setStoredMarks([schema.mark("strong")]).insertText("y"))
+    ist(state.doc, doc(p("fx", strong("y"), "oo"), p("b", em("x"), strong("y"), "r")), eq)
+  })
+
+  it("deletes every range", () => {
+    let state = EditorState.create({doc: doc(p("foo"), p("bar"))})
+    state = state.apply(state.tr.setSelection(multi(state.doc, [{anchor: 1, head: 3}, {anchor: 6, head: 8}], 1)))
+    state = state.apply(state.tr.deleteSelection())
+    ist(state.doc, doc(p("o"), p("r")), eq)
+    ist(state.selection.parts.map(s => s.head).join(), "1,4")
+    ist(state.selection.primaryIndex, 1)
+  })
+
+  it("stores marks only when the deleted ranges agree", () => {
+    let state = EditorState.create({doc: doc(p(em("foo")), p(em("bar")), p("baz"))})
+    let tr = state.tr.setSelection(multi(state.doc, [{anchor: 1, head: 4}, {anchor: 6, head: 9}]))
+    ist(tr.deleteSelection().storedMarks.length, 1)
+    tr = state.tr.setSelection(multi(state.doc, [{anchor: 1, head: 4}, {anchor: 11, head: 14}]))
+    ist(tr.deleteSelection().storedMarks, null)
+  })
+
+  it("replaces every range with a slice", () => {
+    let state = EditorState.create({doc: doc(p("foo"), p("bar"))})
+    state = state.apply(state.tr.setSelection(multi(state.doc, [{anchor: 2}, {anchor: 7}])))
+    state = state.apply(state.tr.replaceSelection(doc(p("xy")).slice(1, 3)))
+    ist(state.doc, doc(p("fxyoo"), p("bxyar")), eq)
+  })
+})
+
+describe("BlockRangeSelection", () => {
+  let d = doc(p("one"), p("two"), blockquote(p("three"), p("four")), p("five"))
+
+  it("covers a range of sibling nodes", () => {
+    let sel = BlockRangeSelection.create(d, 5, 10)
+    ist(sel.range.startIndex, 1)
+    ist(sel.range.endIndex, 2)
+    ist(sel.content().content.childCount, 1)
+    ist(sel.content().openStart, 0)
+    let inner = BlockRangeSelection.create(d, 24, 11)
+    ist(inner.range.depth, 1)
+    ist(inner.content().content.toString(), '<paragraph("three"), paragraph("four")>')
+    ist(BlockRangeSelection.fromRange(d.resolve(3).blockRange(d.resolve(7))).eq(BlockRangeSelection.create(d, 0, 10)))
+  })
+
+  it("maps through changes", () => {
+    let state = EditorState.create({doc: d})
+    state = state.apply(state.tr.setSelection(BlockRangeSelection.create(state.doc, 10, 5)))
+    state = state.apply(state.tr.insert(1, schema.text("xx")))
+    ist(state.selection.eq(BlockRangeSelection.create(state.doc, 12, 7)))
+    state = state.apply(state.tr.delete(7, 12))
+    ist(state.selection instanceof TextSelection)
+  })
+
+  it("serializes", () => {
+    let sel = BlockRangeSelection.create(d, 0, 10)
+    ist(Selection.fromJSON(d, sel.toJSON()).eq(sel))
+    ist.throws(() => Selection.fromJSON(d, {type: "blockRange", anchor: 1, head: 10}), /Invalid/)
+    let tr = EditorState.create({doc: d}).tr.insert(6, schema.text("x"))
+    ist(sel.getBookmark().map(tr.mapping).resolve(tr.doc).eq(BlockRangeSelection.create(tr.doc, 0, 11)))
+    tr = EditorState.create({doc: d}).tr.delete(0, 10)
+    ist(sel.getBookmark().map(tr.mapping).resolve(tr.doc) instanceof TextSelection)
+  })
+
+  it("replaces whole blocks", () => {
+    let state = EditorState.create({doc: d})
+    state = state.apply(state.tr.setSelection(BlockRangeSelection.create(state.doc, 5, 10)))
+    state = state.apply(state.tr.deleteSelection())
+    ist(state.doc, doc(p("one"), blockquote(p("three"), p("four")), p("five")), eq)
+    state = state.apply(state.tr.setSelection(BlockRangeSelection.create(state.doc, 0, 5)))
+    state = state.apply(state.tr.replaceSelection(BlockRangeSelection.create(state.doc, 6, 13).content()))
+    ist(state.doc, doc(p("three"), blockquote(p("three"), p("four")), p("five")), eq)
+  })
+})
+
+describe("Selection filters", () => {
+  let noQuotes = node => node.type.name != "blockquote"
+  let d = doc(blockquote(p("one")), p("two"), blockquote(p("three")), hr)
+
+  it("skips rejected nodes when searching", () => {
+    ist(Selection.atStart(d).head, 2)
+    ist(Selection.atStart(d, noQuotes).head, 8)
+    ist(Selection.atEnd(d, node => node.type.name != "horizontal_rule").head, 19)
+    ist(Selection.atEnd(d, node => !node.isAtom && noQuotes(node)).head, 11)
+    ist(Selection.findFrom(d.resolve(0), 1, false, noQuotes).head, 8)
+  })
+
+  it("moves out of rejected nodes", () => {
+    ist(Selection.findFrom(d.resolve(15), -1, true, noQuotes).head, 11)
+    ist(Selection.near(d.resolve(4), 1, noQuotes).head, 8)
+    ist(Selection.near(d.resolve(4), 1, node => node.type.name != "paragraph").constructor.name, "NodeSelection")
+  })
+
+  it("is honored by TextSelection.between", () => {
+    let sel = TextSelection.between(d.resolve(2), d.resolve(4), null, noQuotes)
+    ist(sel.anchor, 8)
+    ist(sel.head, 8)
+  })
+
+  it("is honored when resolving bookmarks", () => {
+    let bookmark = TextSelection.create(d, 3).getBookmark()
+    ist(bookmark.resolve(d).head, 3)
+    ist(bookmark.resolve(d, noQuotes).head, 8)
+  })
+})
+
+describe("TextSelection navigation", () => {
+  let d = doc(p("Hello wide world. How are ", em("you"), "? Fine."), p("foo", img, "bar baz"))
+  let sel = (anchor, head) => TextSelection.create(d, anchor, head)
+  let range = s => s.anchor + "-" + s.head
+
+  function both(f) {
+    f()
+    let segmenter = Intl.Segmenter
+    if (!segmenter) return
+    Intl.Segmenter = undefined
+    try { f() } finally { Intl.Segmenter = segmenter }
+  }
+
+  it("expands to words", () => both(() => {
+    ist(range(sel(3).expandToWord()), "1-6")
+    ist(range(sel(6).expandToWord()), "1-6")
+    ist(range(sel(8, 4).expandToWord()), "11-1")
+    ist(range(sel(28).expandToWord()), "27-30")
+    ist(range(sel(6, 7).expandToWord()), "6-7")
+    ist(range(sel(42).expandToWord()), "39-42")
+    ist(range(sel(43).expandToWord()), "43-46")
+  }))
+
+  it("expands to sentences", () => both(() => {
+    ist(range(sel(3).expandToSentence()), "1-18")
+    ist(range(sel(22, 3).expandToSentence()), "31-1")
+    ist(range(sel(34).expandToSentence()), "32-37")
+  }))
+
+  it("expands to blocks", () => {
+    ist(range(sel(3, 45).expandToBlock()), "1-50")
+  })
+
+  it("moves by word", () => both(() => {
+    ist(range(sel(1).moveByWord(1)), "6-6")
+    ist(range(sel(6).moveByWord(1)), "11-11")
+    ist(range(sel(12).moveByWord(-1)), "7-7")
+    ist(range(sel(3, 12).moveByWord(1, true)), "3-17")
+    ist(range(sel(31).moveByWord(1)), "36-36")
+    ist(range(sel(42).moveByWord(1)), "43-43")
+    ist(range(sel(43).moveByWord(-1)), "42-42")
+    ist(range(sel(37).moveByWord(1)), "39-39")
+    ist(range(sel(39).moveByWord(-1)), "37-37")
+    ist(range(sel(1).moveByWord(-1)), "1-1")
+    ist(range(sel(50).moveByWord(1)), "50-50")
+  }))
+})
@@ -1,6 +1,7 @@
 const {EditorState, TextSelection, Plugin, PluginKey} = require("..")
 const {schema, eq, doc, p} = require("prosemirror-test-builder")
 const ist = require("ist")
+require("./meta")
 
 const messageCountKey = new PluginKey("messageCount")
 const messageCountPlugin = new Plugin({
@@ -73,6 +74,93 @@ describe("State", () => {
     ist(messageCountPlugin.getState(deserialized), 0)
   })
 
+  it("migrates versioned JSON", () => {
+    let migrations = {
+      0: json => ({doc: json.document, selection: json.selection}),
+      1: json => {
+        json.doc.content.forEach(node => { if (node.type == "para") node.type = "paragraph" })
+        return json
+      }
+    }
+    let old = {document: {type: "doc", content: [{type: "para", content: [{type: "text", text: "hi"}]}]},
+               selection: {type: "text", anchor: 2, head: 2}}
+    let state = EditorState.fromJSON({schema, jsonVersion: 2, migrations}, old)
+    ist(state.doc, doc(p("hi")), eq)
+    ist(state.selection.head, 2)
+    ist(state.toJSON().version, 2)
+    ist(EditorState.fromJSON({schema, jsonVersion: 2, migrations}, state.toJSON()).doc, doc(p("hi")), eq)
+    ist.throws(() => EditorState.fromJSON({schema, jsonVersion: 1}, state.toJSON()), /newer/)
+    ist.throws(() => EditorState.fromJSON({schema, jsonVersion: 3, migrations}, state.toJSON()), /version 2/)
+    ist(EditorState.create({schema}).toJSON().version, undefined)
+  })
+
+  it("can repair invalid JSON", () => {
+    let brokenPlugin = new Plugin({state: {
+      init() { return "fresh" },
+      apply(_, v) { return v },
+      fromJSON(_, json) { if (typeof json != "string") throw new RangeError("Bad value"); return json }
+    }})
+    let json = {doc: doc(p("foo"), p("bar")).toJSON(), selection: {type: "text", anchor: 50, head: 50},
+                storedMarks: [{type: "em"}, {type: "blink"}], plugin: 10}
+    let config = {schema, plugins: [brokenPlugin]}
+    ist.throws(() => EditorState.fromJSON(config, json, {plugin: brokenPlugin}))
+    let {state, warnings} = EditorState.fromJSONLenient(config, json, {plugin: brokenPlugin})
+    ist(state.selection.head, 9)
+    ist(state.storedMarks.length, 1)
+    ist(brokenPlugin.getState(state), "fresh")
+    ist(warnings.map(w => w.path).join(), "selection,storedMarks[1],plugin")
+
+    json = {doc: json.doc, selection: {type: "text", anchor: 0, head: 3}, storedMarks: [{type: "em"}]}
+    let result = EditorState.fromJSONLenient(config, json)
+    ist(result.state.selection.from, 1)
+    ist(result.state.selection.to, 3)
+    ist(result.state.storedMarks, null)
+    ist(result.warnings.map(w => w.path).join(), "selection,storedMarks")
+    json = {doc: json.doc, selection: {type: "text", anchor: 2, head: 2}, storedMarks: [{type: "blink"}]}
+    result = EditorState.fromJSONLenient(config, json)
+    ist(result.state.storedMarks, null)
+    ist(result.warnings.map(w => w.path).join(), "storedMarks[0]")
+    ist(EditorState.fromJSONLenient(config, EditorState.create({schema}).toJSON()).warnings.length, 0)
+  })
+
+  it("serializes plugins with a JSON name automatically", () => {
+    let makePlugin = name => new Plugin({state: {
+      jsonName: name,
+      init() { return 0 },
+      apply(_, v) { return v + 1 },
+      toJSON(v) { return v },
+      fromJSON(_, json) { return json }
+    }})
+    let counter = makePlugin("counter"), other = makePlugin("other")
+    let state = EditorState.create({schema, plugins: [counter, other]})
+    state = state.apply(state.tr)
+    let json = state.toJSON()
+    ist(json.counter, 1)
+    ist(json.other, 1)
+
+    let older = EditorState.fromJSON({schema, plugins: [counter]}, json)
+    ist(counter.getState(older), 1)
+    ist(older.unknownJSONFields.other, 1)
+    older = older.apply(older.tr).reconfigure({plugins: older.plugins})
+    let json2 = older.toJSON()
+    ist(json2.counter, 2)
+    ist(json2.other, 1)
+    ist(other.getState(EditorState.fromJSON({schema, plugins: [counter, other]}, json2)), 1)
+
+    ist(EditorState.fromJSON({schema, plugins: [counter]}, json, {counter}).unknownJSONFields, null)
+
+    let added = EditorState.fromJSON({schema, plugins: [counter]}, json).reconfigure({plugins: [counter, other]})
+    ist(other.getState(added), 1)
+    ist(added.unknownJSONFields, null)
+    ist(added.apply(added.tr).toJSON().other, 2)
+    json.stray = "x"
+    added = EditorState.fromJSON({schema, plugins: [counter]}, json).reconfigure({plugins: [counter, other]})
+    ist(JSON.stringify(added.unknownJSONFields), '{"stray":"x"}')
+    ist.throws(() => EditorState.create({schema, plugins: [counter, makePlugin("counter")]}).toJSON(), /counter/)
+    ist.throws(() => EditorState.create({schema, plugins: [makePlugin("storedMarks")]}).toJSON(), /reserved/)
+    ist.throws(() => EditorState.fromJSON({schema, plugins: [makePlugin("version")]}, json), /reserved/)
+  })
+
   it("supports specifying and persisting storedMarks", () => {
     let state = EditorState.create({doc: doc(p("ok")), storedMarks: [schema.mark("em")]})
     ist(state.storedMarks.length, 1)
@@ -92,6 +180,30 @@ describe("State", () => {
     ist(reAdd.plugins.length, 1)
   })
 
+  it("lets a replacement plugin migrate its field on reconfiguration", () => {
+    let key = new PluginKey("migrate")
+    let makePlugin = step => new Plugin({
+      key,
+      state: {
+        init() { return {step, count: 0} },
+        apply(_, value) { return {step, count: value.count + step} },
+        reconfigure(value, oldState, newState) {
+          ist(oldState.plugins.indexOf(this), -1)
+          ist(newState.plugins.indexOf(this), 0)
+          return {step, count: value.count}
+        }
+      }
+    })
+    let state = EditorState.create({schema, plugins: [makePlugin(1)]})
+    state = state.apply(state.tr).apply(state.tr)
+    ist(key.getState(state).count, 2)
+    let same = state.reconfigure({plugins: state.plugins})
+    ist(key.getState(same), key.getState(state))
+    let replaced = state.reconfigure({plugins: [makePlugin(10)]})
+    ist(key.getState(replaced).count, 2)
+    ist(key.getState(replaced.apply(replaced.tr)).count, 12)
+  })
+
   it("allows plugins to filter transactions", () => {
     let state = EditorState.create({plugins: [transactionPlugin], schema})
     let applied = state.applyTransaction(state.tr.insertText("X"))
@@ -109,6 +221,47 @@ describe("State", () => {
     ist(applied.transactions.length, 2)
   })
 
+  it("allows plugins to transform transactions", () => {
+    let state = EditorState.create({schema, plugins: [
+      new Plugin({transformTransaction: tr => tr.docChanged ? tr.insertText("!").setMeta("transformed", true) : tr}),
+      new Plugin({transformTransaction: (tr, state) => tr.getMeta("replace") ? state.tr.insertText("R") : tr}),
+      transactionPlugin
+    ]})
+    let applied = state.applyTransaction(state.tr.insertText("X"))
+    ist(applied.state.doc, doc(p("X!")), eq)
+    ist(applied.transactions.length, 1)
+    ist(applied.transactions[0].getMeta("transformed"))
+    applied = state.applyTransaction(state.tr.insertText("Y").setMeta("replace", true))
+    ist(applied.state.doc, doc(p("R")), eq)
+    applied = state.applyTransaction(state.tr.insertText("Z").setMeta("append", true))
+    ist(applied.state.doc, doc(p("Z!A!")), eq)
+    ist(applied.transactions[1].getMeta("appendedTransaction"), applied.transactions[0])
+  })
+
+  it("reports transform hooks that don't return a transaction", () => {
+    let broken = new Plugin({transformTransaction() {}})
+    let state = EditorState.create({schema, plugins: [broken]})
+    ist.throws(() => state.apply(state.tr.insertText("X")), /did not return a transaction/)
+    let reported = null
+    state = state.reconfigure({plugins: state.plugins, onPluginError(error, info) { reported = info }})
+    ist(state.apply(state.tr.insertText("X")).doc, doc(p("X")), eq)
+    ist(reported.key, broken.key)
+    ist(reported.hook, "transformTransaction")
+  })
+
+  it("discards changes made by transform hooks that fail", () => {
+    let broken = new Plugin({transformTransaction(tr) {
+      tr.insertText("!").setMeta("broken", true)
+      throw new Error("Oops")
+    }})
+    let state = EditorState.create({schema, plugins: [broken], onPluginError: () => "keep"})
+    let tr = state.tr.insertText("X")
+    let applied = state.applyTransaction(tr)
+    ist(applied.state.doc, doc(p("X")), eq)
+    ist(applied.transactions[0].getMeta("broken"), undefined)
+    ist(tr.steps.length, 1)
+  })
+
   it("stores a reference to a root transaction for appended transactions", () => {
     let state = EditorState.create({schema, plugins: [new Plugin({
       appendTransaction: (_trs, _oldState, newState) => newState.tr.insertText("Y")
@@ -118,6 +271,327 @@ describe("State", () => {
     ist(transactions[1].getMeta("appendedTransaction"), transactions[0])
   })
 
+  it("stops plugins that keep appending transactions", () => {
+    let pingKey = new PluginKey("ping"), pongKey = new PluginKey("pong")
+    let ping = new Plugin({key: pingKey, appendTransaction: (trs, _, state) => {
+      if (trs.some(tr => tr.getMeta(pongKey) || !tr.getMeta("appendedTransaction")))
+        return state.tr.insertText("a").setMeta(pingKey, true)
+    }})
+    let pong = new Plugin({key: pongKey, appendTransaction: (trs, _, state) => {
+      if (trs.some(tr => tr.getMeta(pingKey))) return state.tr.insertText("b").setMeta(pongKey, true)
+    }})
+    let state = EditorState.create({schema, plugins: [ping, pong], maxAppendRounds: 5})
+    let error = null
+    try { state.applyTransaction(state.tr) } catch (e) { error = e }
+    ist(error)
+    ist(/after 6 rounds/.test(error.message))
+    ist(error.message.indexOf(pingKey.key) > -1)
+    ist(error.message.indexOf(pongKey.key) > -1)
+    ist(error.appendLoop.plugins.length, 2)
+    ist(error.appendLoop.plugins[0].steps.replace, 6)
+
+    let reported = null
+    let lenient = state.reconfigure({plugins: state.plugins, onAppendLimit: info => reported = info})
+    ist(lenient.config.maxAppendRounds, 5)
+    let {state: result, transactions} = lenient.applyTransaction(lenient.tr)
+    ist(reported.rounds, 6)
+    ist(transactions.length, 13)
+    ist(result.doc.textContent, "abababababab")
+  })
+
+  it("clamps and validates the append round limit", () => {
+    let append = (_, __, state) => state.tr.insertText("x")
+    let plugins = [new Plugin({appendTransaction: append}), new Plugin({appendTransaction: append})]
+    let reported = null
+    let state = EditorState.create({schema, plugins, maxAppendRounds: 0, onAppendLimit: info => reported = info})
+    ist(state.applyTransaction(state.tr).transactions.length, 5)
+    ist(reported.rounds, 2)
+    state = state.reconfigure({plugins: state.plugins, maxAppendRounds: 2.5})
+    ist(state.applyTransaction(state.tr).transactions.length, 7)
+    ist(reported.rounds, 3)
+    ist.throws(() => EditorState.create({schema, maxAppendRounds: "10"}), /maxAppendRounds/)
+  })
+
+  it("allows chains that settle within the append round limit", () => {
+    let aKey = new PluginKey("chainA")
+    let a = new Plugin({key: aKey, appendTransaction: (trs, _, state) =>
+      trs.some(tr => !tr.getMeta("appendedTransaction")) ? state.tr.insertText("a").setMeta(aKey, true) : null})
+    let b = new Plugin({appendTransaction: (trs, _, state) =>
+      trs.some(tr => tr.getMeta(aKey)) ? state.tr.insertText("b") : null})
+    // B runs before A, so it only sees A's transaction in the second round
+    let state = EditorState.create({schema, plugins: [b, a], maxAppendRounds: 2})
+    ist(state.apply(state.tr).doc.textContent, "ab")
+    let once = EditorState.create({schema, plugins: [a], maxAppendRounds: 1})
+    ist(once.apply(once.tr).doc.textContent, "a")
+  })
+
+  it("checks invariants in debug mode", () => {
+    let badKey = new PluginKey("bad")
+    let bad = new Plugin({key: badKey, state: {init() { return 0 }, apply(tr, v) { if (!tr.getMeta("break")) return v }}})
+    let state = EditorState.create({schema, plugins: [bad], debug: true})
+    state = state.apply(state.tr.insertText("x"))
+    let tr = state.tr.setMeta("break", true), error = null
+    try { state.apply(tr) } catch (e) { error = e }
+    ist(error)
+    ist(error.pluginKey, badKey.key)
+    ist(error.transaction, tr)
+    ist.throws(() => EditorState.create({doc: schema.nodes.doc.create(null, schema.text("x")), debug: true}), /Invalid state/)
+    let d = doc(p("foo"))
+    ist.throws(() => EditorState.create({doc: d, selection: TextSelection.create(d, 1, 3),
+                                         storedMarks: [schema.mark("em")], debug: true}), /Stored marks/)
+    ist(EditorState.create({doc: d, selection: TextSelection.create(d, 1, 3), storedMarks: [schema.mark("em")]}))
+  })
+
+  it("validates plugin metadata in debug mode", () => {
+    let key = new PluginKey("typedMeta", {validateMeta: v => typeof v == "number"})
+    let plugin = new Plugin({key})
+    let state = EditorState.create({schema, plugins: [plugin], debug: true})
+    let tr = key.setMeta(state.tr, 5)
+    ist(key.getMeta(tr), 5)
+    state = state.apply(tr)
+    let error = null
+    try { state.apply(key.setMeta(state.tr, "five")) } catch (e) { error = e }
+    ist(error && error.pluginKey, key.key)
+    ist(EditorState.create({schema, plugins: [plugin]}).apply(key.setMeta(state.tr, "five")))
+  })
+
+  it("copies inherited metadata to appended transactions", () => {
+    let state = EditorState.create({schema, plugins: [transactionPlugin]})
+    let {transactions} = state.applyTransaction(state.tr.setMeta("append", true).setMeta("testInherited", "x"))
+    ist(transactions.length, 2)
+    ist(transactions[1].getMeta("testInherited"), "x")
+    ist(transactions[1].getMeta("append"), undefined)
+    let tr = state.tr.setMeta("append", true).setMeta("addToHistory", false).setMeta("uiEvent", "paste")
+    transactions = state.applyTransaction(tr.setUserEvent("input.paste")).transactions
+    ist(transactions[1].getMeta("addToHistory"), false)
+    ist(transactions[1].getMeta("uiEvent"), "paste")
+    ist(transactions[1].isUserEvent("input"))
+  })
+
+  it("reports which fields changed", () => {
+    let state = EditorState.create({schema, plugins: [messageCountPlugin, transactionPlugin]})
+    let {changedFields} = state.applyTransaction(state.tr.insertText("x"))
+    ist(changedFields.join(), "doc,selection," + messageCountKey.key)
+    ist(state.applyTransaction(state.tr.setMeta("filtered", true)).changedFields.length, 0)
+  })
+
+  it("memoizes selectors", () => {
+    let calls = 0
+    let textLength = doc => { calls++; return doc.textContent.length }
+    let double = count => { calls++; return count * 2 }
+    let state = EditorState.create({schema, plugins: [messageCountPlugin]})
+    ist(state.select("doc", textLength), 0)
+    ist(messageCountKey.select(state, double), 0)
+    ist(calls, 2)
+    let next = state.apply(state.tr.setMeta("x", 1))
+    ist(next.select("doc", textLength), 0)
+    ist(calls, 2)
+    ist(messageCountKey.select(next, double), 2)
+    ist(calls, 3)
+    ist(next.apply(next.tr.insertText("abc")).select("doc", textLength), 3)
+    ist(calls, 4)
+    let identity = value => { calls++; return value }
+    ist(next.select("doc", identity), next.doc)
+    ist(next.select("selection", identity), next.selection)
+    ist(next.select("doc", identity), next.doc)
+    ist(calls, 6)
+  })
+
+  it("can profile plugin hooks", () => {
+    let summaries = []
+    let state = EditorState.create({schema, plugins: [messageCountPlugin, transactionPlugin],
+                                    profile: summary => summaries.push(summary)})
+    let tr = state.tr.insertText("x").setMeta("append", true)
+    state.applyTransaction(tr)
+    ist(summaries.length, 1)
+    let summary = summaries[0]
+    ist(summary.transaction, tr)
+    ist(summary.transactions.length, 2)
+    ist(summary.time >= 0)
+    ist(summary.plugins[messageCountKey.key].apply >= 0)
+    ist(summary.plugins[messageCountKey.key].appendTransaction, 0)
+    ist(summary.plugins[transactionPlugin.key].filterTransaction >= 0)
+    ist(summary.plugins[transactionPlugin.key].apply, 0)
+    ist(Object.keys(summary.plugins).length, 2)
+    state.reconfigure({plugins: [], profile: null}).apply(state.tr)
+    ist(summaries.length, 1)
+  })
+
+  it("can isolate errors in plugins", () => {
+    let failKey = new PluginKey("fail")
+    let failing = new Plugin({
+      key: failKey,
+      state: {
+        init() { return 0 },
+        apply(tr, v) { if (tr.getMeta("fail")) throw new Error("apply failed"); return v + 1 }
+      },
+      appendTransaction(trs) {
+        if (trs.some(tr => tr.getMeta("failAppend"))) throw new Error("append failed")
+      }
+    })
+    let plugins = [failing, messageCountPlugin]
+    ist.throws(() => EditorState.create({schema, plugins}).apply(EditorState.create({schema}).tr.setMeta("fail", true)),
+               /apply failed/)
+
+    let reports = [], policy = "keep"
+    let state = EditorState.create({schema, plugins, onPluginError(error, info) {
+      reports.push({error, info})
+      return policy
+    }})
+    let tr = state.tr.insertText("x").setMeta("fail", true)
+    let next = state.apply(tr)
+    ist(next.doc, doc(p("x")), eq)
+    ist(failKey.getState(next), 0)
+    ist(messageCountKey.getState(next), 1)
+    ist(reports.length, 1)
+    ist(reports[0].info.key, failKey.key)
+    ist(reports[0].info.hook, "apply")
+    ist(reports[0].info.transaction, tr)
+    ist(failKey.getState(next.apply(next.tr)), 1)
+
+    next = next.apply(next.tr.insertText("y").setMeta("failAppend", true))
+    ist(next.doc, doc(p("xy")), eq)
+    ist(reports[1].info.hook, "appendTransaction")
+
+    policy = "rethrow"
+    ist.throws(() => state.apply(state.tr.setMeta("fail", true)), /apply failed/)
+    reports.pop()
+
+    policy = "disable"
+    next = next.apply(next.tr.setMeta("fail", true))
+    next = next.apply(next.tr)
+    ist(failKey.getState(next), 1)
+    ist(messageCountKey.getState(next), 4)
+    ist(reports.length, 3)
+    ist(!next.isPluginEnabled(failKey))
+    ist(failKey.getState(next.reconfigure({plugins}).apply(next.tr)), 1)
+    // Earlier states aren't affected
+    ist(state.isPluginEnabled(failKey))
+    ist(failKey.getState(state.apply(state.tr)), 1)
+    next = next.apply(next.tr.setPluginEnabled(failKey, true))
+    ist(next.isPluginEnabled(failKey))
+    ist(failKey.getState(next), 2)
+  })
+
+  it("re-enables failed plugins that are replaced", () => {
+    let key = new PluginKey("flaky")
+    let make = fail => new Plugin({
+      key,
+      state: {
+        updateWhenDisabled: true,
+        init() { return 0 },
+        apply(_, v) { if (fail) throw new Error("broken"); return v + 1 }
+      },
+      props: {handleKeyDown() { return true }}
+    })
+    let broken = make(true)
+    let state = EditorState.create({schema, plugins: [broken], onPluginError: () => "disable"})
+    state = state.apply(state.tr)
+    ist(!state.isPluginEnabled(key))
+    ist(broken.props.handleKeyDown({state}, {}), undefined)
+    // Fields of failed plugins aren't updated, even with updateWhenDisabled
+    ist(key.getState(state.apply(state.tr)), 0)
+    ist(!state.reconfigure({plugins: state.plugins}).isPluginEnabled(key))
+    let fixed = state.reconfigure({plugins: [make(false)]})
+    ist(fixed.isPluginEnabled(key))
+    ist(key.getState(fixed.apply(fixed.tr)), 1)
+  })
+
+  it("only updates fields affected by a transaction", () => {
+    let calls = {doc: 0, selection: 0, meta: 0}
+    let tracker = (kind, updateOn) => new Plugin({state: {
+      updateOn,
+      init() { return 0 },
+      apply(_, v) { calls[kind]++; return v + 1 }
+    }})
+    let metaKey = new PluginKey("trigger")
+    let docPlugin = tracker("doc", {doc: true}), selPlugin = tracker("selection", {selection: true})
+    let metaPlugin = tracker("meta", {meta: ["trigger", metaKey]})
+    let state = EditorState.create({doc: doc(p("foo")), plugins: [docPlugin, selPlugin, metaPlugin]})
+    state = state.apply(state.tr.setMeta("unrelated", true))
+    ist(JSON.stringify(calls), JSON.stringify({doc: 0, selection: 0, meta: 0}))
+    state = state.apply(state.tr.setSelection(TextSelection.create(state.doc, 2)))
+    ist(JSON.stringify(calls), JSON.stringify({doc: 0, selection: 1, meta: 0}))
+    state = state.apply(state.tr.insertText("x", 1))
+    ist(JSON.stringify(calls), JSON.stringify({doc: 1, selection: 2, meta: 0}))
+    state = state.apply(state.tr.setMeta("trigger", 1))
+    state = state.apply(state.tr.setMeta(metaKey, 1))
+    ist(JSON.stringify(calls), JSON.stringify({doc: 1, selection: 2, meta: 2}))
+    ist(docPlugin.getState(state), 1)
+  })
+
+  it("can disable and enable plugins", () => {
+    let state = EditorState.create({schema, plugins: [messageCountPlugin, transactionPlugin]})
+    let plugins = state.plugins
+    state = state.apply(state.tr.setPluginEnabled(messageCountKey, false).setPluginEnabled(transactionPlugin, false))
+    ist(!state.isPluginEnabled(messageCountPlugin))
+    ist(state.plugins, plugins)
+    ist(messageCountPlugin.props.testProp(state), undefined)
+    ist(messageCountKey.getState(state), 0)
+    state = state.apply(state.tr.setMeta("append", true))
+    state = state.apply(state.tr.setMeta("filtered", true))
+    ist(state.doc.textContent, "")
+    ist(messageCountKey.getState(state), 0)
+    ist(state.apply(state.tr).plugins, state.plugins)
+    state = state.apply(state.tr.setPluginEnabled(messageCountPlugin, true).setPluginEnabled(transactionPlugin, true))
+    ist(state.isPluginEnabled(messageCountKey))
+    ist(state.plugins, plugins)
+    ist(messageCountPlugin.props.testProp(state), messageCountPlugin)
+    ist(messageCountKey.getState(state), 1)
+    ist(state.apply(state.tr.setMeta("filtered", true)), state)
+  })
+
+  it("keeps disabled plugins when reconfiguring with the state's plugins", () => {
+    let extra = new Plugin({})
+    let state = EditorState.create({schema, plugins: [messageCountPlugin]})
+    state = state.apply(state.tr.setPluginEnabled(messageCountKey, false))
+    state = state.reconfigure({plugins: state.plugins.concat(extra)})
+    ist(messageCountKey.get(state), messageCountPlugin)
+    ist(messageCountKey.getState(state), 0)
+    ist(!state.isPluginEnabled(messageCountKey))
+    state = state.apply(state.tr.setPluginEnabled(messageCountKey, true))
+    ist(messageCountKey.getState(state), 1)
+  })
+
+  it("ignores the props of disabled plugins", () => {
+    let plugin = new Plugin({props: {
+      handleKeyDown() { return true },
+      transformPastedText(text) { return text.toUpperCase() },
+      handleDOMEvents: {focus() { return true }},
+      nodeViews: {paragraph() { return {dom: "p"} }},
+      markViews: {em() { return {dom: "em"} }},
+      attributes: {class: "plugin"},
+      editable: false
+    }})
+    let state = EditorState.create({schema, plugins: [plugin]}), view = {state}
+    ist(plugin.props.handleKeyDown(view, {}))
+    ist(plugin.props.transformPastedText("abc", false, view), "ABC")
+    ist(plugin.props.nodeViews.paragraph(state.doc.firstChild, view).dom, "p")
+    ist(plugin.props.markViews.em(schema.marks.em.create(), view, true).dom, "em")
+    ist(plugin.props.attributes(state).class, "plugin")
+    ist(plugin.props.editable(state), false)
+    view.state = state.apply(state.tr.setPluginEnabled(plugin, false))
+    ist(plugin.props.handleKeyDown(view, {}), undefined)
+    ist(plugin.props.transformPastedText("abc", false, view), "abc")
+    ist(plugin.props.handleDOMEvents.focus(view, {}), undefined)
+    ist(plugin.props.nodeViews.paragraph(state.doc.firstChild, view), undefined)
+    ist(plugin.props.markViews.em(schema.marks.em.create(), view, true), undefined)
+    ist(plugin.props.attributes(view.state), undefined)
+    ist(plugin.props.editable(view.state), undefined)
+  })
+
+  it("keeps updating disabled fields that ask for it", () => {
+    let plugin = new Plugin({state: {
+      updateWhenDisabled: true,
+      init() { return 1 },
+      apply(tr, pos) { return tr.mapping.map(pos) }
+    }})
+    let state = EditorState.create({doc: doc(p("foo")), plugins: [plugin]})
+    state = state.apply(state.tr.setPluginEnabled(plugin, false))
+    state = state.apply(state.tr.insertText("xy", 1))
+    ist(plugin.getState(state), 3)
+  })
+
   it("supports JSON.stringify toJSON arguments", () => {
     let someObject = { someKey: EditorState.create({schema}) }
     ist(JSON.stringify(someObject).length > 0)
@@ -135,6 +609,78 @@ describe("Plugin", () => {
     ist(messageCountKey.getState(state), 0)
   })
 
+  it("orders plugins after their dependencies", () => {
+    let baseKey = new PluginKey("base")
+    let base = new Plugin({key: baseKey, state: {init() { return 1 }, apply(_, v) { return v + 1 }}})
+    let dependent = new Plugin({
+      dependencies: [baseKey],
+      state: {
+        init(_, state) { return baseKey.getState(state) * 10 },
+        apply(_, _v, _old, state) { return baseKey.getState(state) * 10 }
+      }
+    })
+    let state = EditorState.create({schema, plugins: [dependent, base]})
+    ist(state.plugins[0], base)
+    ist(dependent.getState(state), 10)
+    ist(dependent.getState(state.apply(state.tr)), 20)
+  })
+
+  it("orders plugins by priority", () => {
+    let a = new Plugin({}), b = new Plugin({priority: 10}), c = new Plugin({}), d = new Plugin({priority: -1})
+    let state = EditorState.create({schema, plugins: [d, a, b, c]})
+    ist(state.plugins.map(p => p.key).join(), [b, a, c, d].map(p => p.key).join())
+  })
+
+  it("lets dependencies override priority", () => {
+    let lowKey = new PluginKey("low")
+    let low = new Plugin({key: lowKey}), high = new Plugin({priority: 5, dependencies: [lowKey]})
+    let state = EditorState.create({schema, plugins: [high, low]})
+    ist(state.plugins[0], low)
+    ist(state.plugins[1], high)
+  })
+
+  it("raises an error for missing dependencies", () => {
+    let plugin = new Plugin({dependencies: [new PluginKey("missing")]})
+    ist.throws(() => EditorState.create({schema, plugins: [plugin]}), /missing\$\d*, which is not present/)
+  })
+
+  it("raises an error for cyclic dependencies", () => {
+    let k1 = new PluginKey("cycA"), k2 = new PluginKey("cycB")
+    let p1 = new Plugin({key: k1, dependencies: [k2]}), p2 = new Plugin({key: k2, dependencies: [k1]})
+    ist.throws(() => EditorState.create({schema, plugins: [p1, p2]}), /Cyclic plugin dependencies/)
+  })
+
+  it("supports stable keys", () => {
+    let key = new PluginKey("comments", {stable: true})
+    ist(key.key, "comments")
+    let plugin = new Plugin({key, state: {
+      init() { return ["a"] },
+      apply(_, v) { return v },
+      toJSON(v) { return v.join(",") },
+      fromJSON(_, json) { return json.split(",") }
+    }})
+    let state = EditorState.create({schema, plugins: [plugin, messageCountPlugin]})
+    let json = state.toJSON()
+    ist(json.comments, "a")
+    ist(json[messageCountKey.key], undefined)
+    let copy = EditorState.fromJSON({schema, plugins: [new Plugin({key, state: plugin.spec.state})]},
+                                    {doc: json.doc, selection: json.selection, comments: "b,c"})
+    ist(key.getState(copy).join(), "b,c")
+    ist(state.toJSON({count: messageCountPlugin}).comments, undefined)
+  })
+
+  it("rejects clashing stable keys", () => {
+    let p1 = new Plugin({key: new PluginKey("clash", {stable: true})})
+    let p2 = new Plugin({key: new PluginKey("clash", {stable: true})})
+    ist.throws(() => EditorState.create({schema, plugins: [p1, p2]}), /clash/)
+    ist(EditorState.create({schema, plugins: [p1]}).reconfigure({plugins: [p2]}).plugins[0], p2)
+    ist.throws(() => new PluginKey("a$b", {stable: true}), /\$/)
+    ist.throws(() => EditorState.create({schema, plugins: [new Plugin({key: new PluginKey("doc", {stable: true})})]}),
+               /built-in/)
+    ist.throws(() => EditorState.create({schema, plugins: [new Plugin({key: new PluginKey("apply", {stable: true})})]}),
+               /built-in/)
+  })
+
   it("generates new keys", () => {
     let p1 = new Plugin({}), p2 = new Plugin({})
     ist(p1.key != p2.key)
@@ -0,0 +1,81 @@
+const {EditorState, EditorStore, Plugin} = require("..")
+const {schema, eq, doc, p} = require("prosemirror-test-builder")
+const ist = require("ist")
+
+describe("EditorStore", () => {
+  it("applies dispatched transactions", () => {
+    let store = new EditorStore(EditorState.create({schema}))
+    let updates = []
+    let unsubscribe = store.subscribe(update => updates.push(update))
+    let start = store.state
+    store.dispatch(store.state.tr.insertText("hi"))
+    ist(store.state.doc, doc(p("hi")), eq)
+    ist(updates.length, 1)
+    ist(updates[0].oldState, start)
+    ist(updates[0].newState, store.state)
+    ist(updates[0].transactions.length, 1)
+    ist(updates[0].changedFields.join(), "doc,selection")
+    unsubscribe()
+    store.dispatch(store.state.tr.insertText("!"))
+    ist(updates.length, 1)
+  })
+
+  it("queues re-entrant dispatches", () => {
+    let store = new EditorStore(EditorState.create({schema}))
+    let seen = []
+    store.subscribe(({newState, transactions}) => {
+      seen.push(newState.doc.textContent)
+      if (transactions[0].getMeta("respond")) {
+        store.dispatch(newState.tr.insertText("b", 1))
+        store.dispatch(newState.tr.insertText("c", 1))
+        ist(seen.length, 1)
+      }
+    })
+    store.dispatch(store.state.tr.insertText("a").setMeta("respond", true))
+    ist(seen.join(), "a,ba,bca")
+  })
+
+  it("keeps processing the queue when a subscriber throws", () => {
+    let store = new EditorStore(EditorState.create({schema}))
+    store.subscribe(({transactions}) => {
+      if (transactions[0].getMeta("respond")) store.dispatch(store.state.tr.insertText("b", 2))
+      if (transactions[0].getMeta("fail")) throw new Error("Oops")
+    })
+    ist.throws(() => store.dispatch(store.state.tr.insertText("a").setMeta("respond", true).setMeta("fail", true)), /Oops/)
+    ist(store.state.doc, doc(p("ab")), eq)
+    store.dispatch(store.state.tr.insertText("c", 3))
+    ist(store.state.doc, doc(p("abc")), eq)
+  })
+
+  it("reports steps lost when rebasing", () => {
+    let store = new EditorStore(EditorState.create({doc: doc(p("abc"))}))
+    let lost = []
+    store.subscribe(update => {
+      lost.push(update.lost.join())
+      if (update.transactions[0].getMeta("respond"))
+        store.dispatch(update.oldState.tr.insertText("x", 2).insertText("y", 5))
+    })
+    store.dispatch(store.state.tr.delete(1, 3).setMeta("respond", true))
+    ist(store.state.doc, doc(p("cy")), eq)
+    ist(lost.join(";"), ";0")
+  })
+
+  it("runs plugin store views", () => {
+    let log = []
+    let plugin = new Plugin({
+      storeView(store) {
+        log.push("create " + store.state.doc.textContent)
+        return {
+          update(store, prev) { log.push("update " + prev.doc.textContent + "→" + store.state.doc.textContent) },
+          destroy() { log.push("destroy") }
+        }
+      }
+    })
+    let store = new EditorStore(EditorState.create({schema, plugins: [plugin]}))
+    store.dispatch(store.state.tr.insertText("x"))
+    store.updateState(store.state.reconfigure({plugins: [plugin]}))
+    store.updateState(store.state.reconfigure({plugins: []}))
+    store.destroy()
+    ist(log.join(", "), "create , update →x, destroy, create x, destroy")
+  })
+})
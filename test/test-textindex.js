@@ -0,0 +1,140 @@
+const {EditorState, TextIndex, TextSelection} = require("..")
+
+const {schema, doc, blockquote, p, ul, li, img, hr, br, em} = require("prosemirror-test-builder")
+const ist = require("ist")
+
+function leaf(node) { return node.type.name == "image" ? "[img]" : node.type.name == "hard_break" ? "\n" : "" }
+
+function fullText(d, sep = "\n") { return d.textBetween(0, d.content.size, sep, leaf) }
+
+function sameIndex(a, b) {
+  ist(a.text, b.text)
+  ist(JSON.stringify(a.pieces), JSON.stringify(b.pieces))
+}
+
+describe("TextIndex", () => {
+  let d = doc(p("one"), blockquote(p("two", img, "x"), p()), hr, ul(li(p("f", br, "our"))))
+  let index = TextIndex.create(d, {leafText: leaf})
+
+  it("produces the same text as textBetween", () => {
+    ist(index.text, fullText(d))
+    ist(TextIndex.create(d, {blockSeparator: " | ", leafText: leaf}).text, fullText(d, " | "))
+    ist(TextIndex.create(d, {blockSeparator: "", leafText: "?"}).text, d.textBetween(0, d.content.size, "", "?"))
+  })
+
+  it("maps text offsets to positions", () => {
+    ist(index.textToPos(0), 1)
+    ist(index.textToPos(3), 4)
+    // After the separator, the position at the start of the next textblock
+    ist(index.textToPos(4), 7)
+    ist(index.textToPos(3, -1), 4)
+    ist(index.textToPos(6), 9)
+    // Inside the image's text
+    ist(index.textToPos(9), 11)
+    ist(index.textToPos(9, -1), 10)
+    ist(index.textToPos(12), 11)
+    ist(index.textToPos(index.text.length), d.content.size - 3)
+    ist(index.textToPos(1000), d.content.size - 3)
+  })
+
+  it("maps positions to text offsets", () => {
+    ist(index.posToText(0), 0)
+    ist(index.posToText(1), 0)
+    ist(index.posToText(4), 3)
+    ist(index.posToText(6, -1), 3)
+    ist(index.posToText(6), 4)
+    ist(index.posToText(10), 7)
+    ist(index.posToText(11), 12)
+    ist(index.posToText(12), 13)
+    for (let pos = 0; pos <= d.content.size; pos++) {
+      let offset = index.posToText(pos)
+      ist(offset, index.posToText(index.textToPos(offset)))
+    }
+  })
+
+  it("round-trips offsets inside text", () => {
+    for (let offset = 0; offset <= index.text.length; offset++) {
+      let pos = index.textToPos(offset)
+      if (d.resolve(pos).parent.inlineContent && d.resolve(pos).textOffset)
+        ist(index.posToText(pos), offset)
+    }
+  })
+
+  it("handles empty documents", () => {
+    let empty = TextIndex.create(doc(p()))
+    ist(empty.text, "")
+    ist(empty.textToPos(0), 1)
+    ist(empty.posToText(1), 0)
+  })
+
+  it("maps offsets at empty textblocks into them", () => {
+    let d = doc(p("a"), p(), p("b")), index = TextIndex.create(d)
+    ist(index.text, "a\n\nb")
+    ist(index.textToPos(2), 4)
+    ist(index.textToPos(2, -1), 4)
+    ist(index.posToText(4), 2)
+    ist(index.textSelection(2).head, 4)
+    let start = TextIndex.create(doc(p(), p("b")))
+    ist(start.textToPos(0), 1)
+    ist(start.textToPos(1), 3)
+  })
+
+  it("creates text selections", () => {
+    let sel = index.textSelection(1, 6)
+    ist(sel instanceof TextSelection)
+    ist(sel.from, 2)
+    ist(sel.to, 9)
+    ist(d.textBetween(sel.from, sel.to, "\n"), "ne\ntw")
+    let back = index.textSelection(6, 1)
+    ist(back.anchor, 9)
+    ist(back.head, 2)
+    ist(index.textSelection(4).head, 7)
+  })
+
+  it("returns itself for transactions that don't change the document", () => {
+    let state = EditorState.create({doc: d})
+    ist(index.apply(state.tr.setSelection(TextSelection.create(d, 2))), index)
+  })
+
+  it("refuses transactions that start from another document", () => {
+    let state = EditorState.create({doc: doc(p("other"))})
+    ist.throws(() => index.apply(state.tr.insertText("x", 1)), /mismatched/)
+  })
+
+  function testUpdate(name, change) {
+    it("updates for " + name, () => {
+      let tr = EditorState.create({doc: d}).tr
+      change(tr)
+      let updated = index.apply(tr)
+      ist(updated.text, fullText(tr.doc))
+      sameIndex(updated, TextIndex.create(tr.doc, {leafText: leaf}))
+    })
+  }
+
+  testUpdate("insertions", tr => tr.insertText("abc", 2))
+  testUpdate("deletions across blocks", tr => tr.delete(2, 9))
+  testUpdate("deletion of the first block", tr => tr.delete(0, 5))
+  testUpdate("insertion of a new first block", tr => tr.insert(0, p()))
+  testUpdate("replacing a leaf block", tr => tr.replaceWith(16, 17, p("five")))
+  testUpdate("wrapping", tr => tr.wrap(tr.doc.resolve(1).blockRange(), [{type: schema.nodes.blockquote}]))
+  testUpdate("mark steps", tr => tr.addMark(1, 3, schema.marks.em.create()))
+  testUpdate("node type changes", tr => tr.setNodeMarkup(6, schema.nodes.heading, {level: 2}))
+  testUpdate("attribute steps", tr => tr.setNodeAttribute(10, "alt", "x"))
+  testUpdate("multiple steps", tr => {
+    tr.insertText("A", 1)
+    tr.delete(tr.doc.content.size - 5, tr.doc.content.size - 3)
+    tr.insert(tr.doc.content.size, p("end", em("!")))
+  })
+  testUpdate("deleting everything", tr => tr.delete(0, tr.doc.content.size))
+
+  it("can be updated repeatedly", () => {
+    let state = EditorState.create({doc: d}), current = index
+    for (let i = 0; i < 10; i++) {
+      let tr = state.tr.insertText("x" + i, 1 + i * 3)
+      if (i % 3 == 2) tr.split(3)
+      current = current.apply(tr)
+      state = state.apply(tr)
+    }
+    sameIndex(current, TextIndex.create(state.doc, {leafText: leaf}))
+  })
+})
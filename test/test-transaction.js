@@ -0,0 +1,123 @@
+const {EditorState, TextSelection, Transaction} = require("..")
+const {schema, eq, doc, p} = require("prosemirror-test-builder")
+const ist = require("ist")
+const {markKey} = require("./meta")
+
+describe("Transaction", () => {
+  describe("rebase", () => {
+    it("maps steps over intervening changes", () => {
+      let start = EditorState.create({doc: doc(p("hello"))})
+      let stale = start.tr.insertText("!", 6).setMeta("source", "fetch")
+      let between = start.tr.insertText("oh, ", 1)
+      let current = start.apply(between)
+      let {transaction, lost} = stale.rebase(current, [between])
+      ist(lost.length, 0)
+      ist(transaction.getMeta("source"), "fetch")
+      ist(transaction.time, stale.time)
+      ist(current.apply(transaction).doc, doc(p("oh, hello!")), eq)
+    })
+
+    it("accepts a mapping", () => {
+      let start = EditorState.create({doc: doc(p("hello"))})
+      let stale = start.tr.insertText("X", 1)
+      let between = start.tr.insertText("abc", 6)
+      let {transaction} = stale.rebase(start.apply(between), between.mapping)
+      ist(start.apply(between).apply(transaction).doc, doc(p("Xhelloabc")), eq)
+    })
+
+    it("drops steps that no longer apply", () => {
+      let start = EditorState.create({doc: doc(p("one"), p("two"))})
+      let stale = start.tr.replaceWith(7, 9, schema.text("W")).insertText("!", 4)
+      let between = start.tr.delete(5, 10)
+      let current = start.apply(between)
+      let {transaction, lost} = stale.rebase(current, [between])
+      ist(lost.join(), "0")
+      ist(current.apply(transaction).doc, doc(p("one!")), eq)
+    })
+
+    it("maps an explicitly set selection", () => {
+      let start = EditorState.create({doc: doc(p("hello"))})
+      let stale = start.tr.setSelection(TextSelection.create(start.doc, 2, 4)).scrollIntoView()
+      let between = start.tr.insertText("ab", 1)
+      let {transaction} = stale.rebase(start.apply(between), [between])
+      ist(transaction.selectionSet)
+      ist(transaction.scrolledIntoView)
+      ist(transaction.selection.from, 4)
+      ist(transaction.selection.to, 6)
+    })
+
+    it("refuses unrelated transactions", () => {
+      let start = EditorState.create({doc: doc(p("hello"))})
+      let other = EditorState.create({doc: doc(p("bye"))})
+      ist.throws(() => start.tr.rebase(other, [other.tr.insertText("x")]), /rebase/)
+      ist.throws(() => start.tr.insertText("!", 6).rebase(other, []), /rebase/)
+      ist(start.tr.insertText("!", 6).rebase(start, []).transaction.doc, doc(p("hello!")), eq)
+    })
+  })
+  describe("JSON", () => {
+    it("round-trips a transaction", () => {
+      let state = EditorState.create({doc: doc(p("hello"))})
+      let tr = state.tr.insertText("ab", 2)
+      tr.setSelection(TextSelection.create(tr.doc, 1, 3))
+      tr.insertText("c", 7).setStoredMarks([schema.mark("em")]).scrollIntoView().setTime(100)
+      tr.setMeta("testJSON", {a: 1}).setMeta(markKey, schema.mark("strong")).setMeta("local", true)
+      tr.setPluginEnabled(markKey, false)
+      let json = JSON.parse(JSON.stringify(tr.toJSON()))
+      ist(json.meta.local, undefined)
+      let copy = Transaction.fromJSON(state, json)
+      ist(copy.doc, tr.doc, eq)
+      ist(copy.selection.eq(tr.selection))
+      ist(copy.selectionSet)
+      ist(copy.storedMarks.length, 1)
+      ist(copy.storedMarks[0].type.name, "em")
+      ist(copy.scrolledIntoView)
+      ist(copy.time, 100)
+      ist(copy.getMeta("testJSON").a, 1)
+      ist(copy.getMeta(markKey).type.name, "strong")
+      ist(copy.getMeta("local"), undefined)
+      ist(!state.apply(copy).isPluginEnabled(markKey))
+    })
+
+    it("leaves out implicit selections and marks", () => {
+      let state = EditorState.create({doc: doc(p("hello"))})
+      let json = state.tr.insertText("x", 1).toJSON()
+      ist(json.selection, undefined)
+      ist(json.storedMarks, undefined)
+      let copy = Transaction.fromJSON(state, json)
+      ist(copy.selectionSet, false)
+      ist(state.apply(copy).doc, doc(p("xhello")), eq)
+    })
+
+    it("refuses duplicate meta registrations", () => {
+      ist.throws(() => Transaction.jsonMeta("testJSON"), /Duplicate/)
+    })
+  })
+
+  describe("user events", () => {
+    it("matches events by prefix", () => {
+      let tr = EditorState.create({doc: doc(p("hello"))}).tr.setUserEvent("input.paste")
+      ist(tr.isUserEvent("input"))
+      ist(tr.isUserEvent("input.paste"))
+      ist(!tr.isUserEvent("in"))
+      ist(!tr.isUserEvent("input.type"))
+      ist(!tr.isUserEvent("input.paste.html"))
+    })
+
+    it("can be set by built-in methods", () => {
+      let state = EditorState.create({doc: doc(p("hello"))})
+      ist(state.tr.insertText("x", 1, 1, "input.type").getMeta("userEvent"), "input.type")
+      let sel = state.apply(state.tr.setSelection(TextSelection.create(state.doc, 1, 3)))
+      let tr = sel.tr.deleteSelection("delete.cut")
+      ist(tr.isUserEvent("delete"))
+      ist(tr.doc, doc(p("llo")), eq)
+      ist(sel.tr.replaceSelection(sel.doc.slice(4, 5), "input.paste").isUserEvent("input.paste"))
+      ist(!state.tr.insertText("x").isUserEvent("input"))
+    })
+
+    it("are serialized", () => {
+      let state = EditorState.create({doc: doc(p("hello"))})
+      let json = state.tr.insertText("x", 1, 1, "input.type").toJSON()
+      ist(Transaction.fromJSON(state, json).isUserEvent("input.type"))
+    })
+  })
+})